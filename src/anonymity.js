@@ -0,0 +1,139 @@
+import { CONFIG } from './config.js';
+import { compareDecimal, isDecimal, isZeroDecimal, normalizeDecimal, parseDecimal, toDecimalString } from './decimal.js';
+
+/**
+ * Anonymity-set checks before IN / OUT CAVE
+ * Cave moves are public: anyone can see the component's balance change per
+ * transaction. A rare token or an odd amount (1234.5678) going in and the
+ * same amount coming out later links the two accounts. These checks compare
+ * what the user is about to move with recent cave activity and suggest
+ * amounts that blend in.
+ */
+
+/**
+ * @param {string} amount
+ * @returns {number} - Digits from the first to the last non-zero digit (1200 -> 2, 0.0105 -> 3)
+ */
+export function significantDigits(amount) {
+  const digits = normalizeDecimal(amount)
+    .replace('-', '')
+    .replace('.', '')
+    .replace(/^0+/, '')
+    .replace(/0+$/, '');
+
+  return digits.length;
+}
+
+/**
+ * Truncate an amount to a number of significant digits (toward zero)
+ * @param {string} amount
+ * @param {number} [digits]
+ * @returns {string} - e.g. 1234.5678 -> 1200
+ */
+export function roundAmount(amount, digits = CONFIG.anonymity.roundDigits) {
+  const scaled = parseDecimal(amount);
+  const length = (scaled < 0n ? -scaled : scaled).toString().length;
+  const step = 10n ** BigInt(Math.max(length - digits, 0));
+
+  return toDecimalString((scaled / step) * step);
+}
+
+/**
+ * Split an amount into round parts (one significant digit each)
+ * The parts never add up to more than the amount; whatever is left after
+ * maxParts stays where it is
+ * @param {string} amount
+ * @param {number} [maxParts]
+ * @returns {string[]} - e.g. 1234.5678 -> [1000, 200, 30]
+ */
+export function splitAmount(amount, maxParts = CONFIG.anonymity.maxSplitParts) {
+  const parts = [];
+  let remaining = normalizeDecimal(amount);
+
+  while (parts.length < maxParts && compareDecimal(remaining, '0') > 0) {
+    const part = roundAmount(remaining, 1);
+    parts.push(part);
+    remaining = toDecimalString(parseDecimal(remaining) - parseDecimal(part));
+  }
+
+  return parts;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} - Same size, ignoring direction
+ */
+function sameSize(a, b) {
+  return parseDecimal(a.replace('-', '')) === parseDecimal(b.replace('-', ''));
+}
+
+/**
+ * Compare a planned IN / OUT CAVE with recent cave activity
+ * @param {string} mode - 'in' or 'out'
+ * @param {Array<{kind?: string, resourceAddress: string, nfId?: string, amount: string, symbol?: string}>} resources
+ *   - What is about to move (as submitted by the modal)
+ * @param {Array<{resourceAddress: string, amount: string}>} movements - Recent cave balance changes
+ *   (positive: went in, negative: came out)
+ * @returns {Array<{kind: string, resourceAddress: string, nfId: string|null, symbol: string, amount: string, activity: number,
+ *   rounded: string|null, split: string[]}>} - kind: 'nft', 'rareToken', 'matchesDeposit' or 'oddAmount'
+ */
+export function findPrivacyWarnings(mode, resources, movements) {
+  const { minTokenActivity, roundDigits } = CONFIG.anonymity;
+  const warnings = [];
+  const seen = new Set();
+
+  for (const r of resources) {
+    const id = `${r.resourceAddress}:${r.nfId || r.amount}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const base = {
+      resourceAddress: r.resourceAddress,
+      nfId: r.nfId || null,
+      symbol: r.symbol || '',
+      amount: r.amount,
+      activity: 0,
+      rounded: null,
+      split: []
+    };
+
+    // A specific NFT is unique - it can always be followed in and out
+    if (r.kind === 'nonFungible') {
+      warnings.push({ ...base, kind: 'nft' });
+      continue;
+    }
+
+    if (!isDecimal(r.amount) || isZeroDecimal(r.amount)) continue;
+
+    const tokenMoves = movements.filter(m => m.resourceAddress === r.resourceAddress);
+    const suggestions = {
+      rounded: significantDigits(r.amount) > roundDigits ? roundAmount(r.amount) : null,
+      split: splitAmount(r.amount)
+    };
+    if (suggestions.rounded !== null && isZeroDecimal(suggestions.rounded)) suggestions.rounded = null;
+    if (suggestions.split.length < 2) suggestions.split = [];
+
+    if (tokenMoves.length < minTokenActivity) {
+      warnings.push({ ...base, ...suggestions, kind: 'rareToken', activity: tokenMoves.length });
+      continue;
+    }
+
+    // Taking out exactly what someone recently put in points straight at them
+    const matchingDeposits = tokenMoves.filter(m =>
+      compareDecimal(m.amount, '0') > 0 && sameSize(m.amount, r.amount)
+    );
+    if (mode === 'out' && matchingDeposits.length > 0) {
+      warnings.push({ ...base, ...suggestions, kind: 'matchesDeposit', activity: matchingDeposits.length });
+      continue;
+    }
+
+    // Odd amount nobody else moved: it will stand out again when it comes out
+    const sameAmount = tokenMoves.filter(m => sameSize(m.amount, r.amount));
+    if (suggestions.rounded !== null && sameAmount.length === 0) {
+      warnings.push({ ...base, ...suggestions, kind: 'oddAmount', activity: tokenMoves.length });
+    }
+  }
+
+  return warnings;
+}
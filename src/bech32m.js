@@ -0,0 +1,66 @@
+/**
+ * Bech32m (BIP-350) checksum verification for Radix addresses
+ * Only decodes as far as needed to trust the human-readable part
+ */
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+
+/**
+ * Bech32 checksum polymod
+ * @param {number[]} values
+ * @returns {number}
+ */
+function polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= generators[i];
+    }
+  }
+
+  return chk >>> 0;
+}
+
+/**
+ * @param {string} hrp
+ * @returns {number[]}
+ */
+function expandHrp(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) >> 5);
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) result.push(hrp.charCodeAt(i) & 31);
+  return result;
+}
+
+/**
+ * Check a string is a well-formed Bech32m string and split out its HRP
+ * @param {string} value
+ * @returns {string|null} - HRP, or null if not valid Bech32m
+ */
+export function decodeBech32mHrp(value) {
+  // Radix addresses are always lowercase
+  if (value !== value.toLowerCase()) return null;
+
+  const separator = value.lastIndexOf('1');
+  // Need a non-empty HRP and at least the 6 checksum characters
+  if (separator < 1 || separator + 7 > value.length) return null;
+
+  const hrp = value.slice(0, separator);
+  const data = [];
+
+  for (const char of value.slice(separator + 1)) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index === -1) return null;
+    data.push(index);
+  }
+
+  if (polymod([...expandHrp(hrp), ...data]) !== BECH32M_CONST) return null;
+
+  return hrp;
+}
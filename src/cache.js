@@ -1,50 +1,154 @@
+import { CONFIG } from './config.js';
+
 /**
  * LocalStorage cache for persistent data (resource metadata)
  * Data survives browser refresh
+ *
+ * Entries carry a schema version and the network id they were written on;
+ * anything from another version or network reads as a miss. The number of
+ * entries is capped, evicting the least recently used first, and a full
+ * localStorage triggers eviction and one retry instead of a silent failure.
+ *
+ * Eviction has to parse every entry, so writes only pay for it once the
+ * entry count goes over the cap. The count is kept in memory; other tabs can
+ * make it drift, which the next eviction (or a full localStorage) corrects.
  */
 
 const CACHE_PREFIX = 'hypercave_';
 
+// Bump when the shape of cached values changes - older entries are dropped on read
+const CACHE_SCHEMA_VERSION = 2;
+
+// Only rewrite lastAccess when it is older than this, so reads stay cheap
+const ACCESS_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * @param {Error} e
+ * @returns {boolean}
+ */
+function isQuotaExceeded(e) {
+  return e instanceof DOMException && (
+    e.name === 'QuotaExceededError' ||
+    e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    e.code === 22 ||
+    e.code === 1014
+  );
+}
+
 export const cache = {
+  entryCount: null, // Lazily counted from keys()
+
   /**
-   * Get cached value if not expired
+   * @returns {number} - Number of hypercave entries in localStorage
+   */
+  countEntries() {
+    if (this.entryCount === null) {
+      this.entryCount = this.keys().length;
+    }
+    return this.entryCount;
+  },
+
+  /**
+   * Remove an entry by its full localStorage key, keeping the count in step
+   * @param {string} fullKey
+   */
+  removeItem(fullKey) {
+    if (localStorage.getItem(fullKey) === null) return;
+    localStorage.removeItem(fullKey);
+    if (this.entryCount !== null) this.entryCount = Math.max(this.entryCount - 1, 0);
+  },
+
+  /**
+   * Read an entry with its freshness, refreshing its LRU position
+   * Expired entries are kept (stale) in stale-while-revalidate mode, dropped otherwise
    * @param {string} key
-   * @returns {any|null}
+   * @returns {{value: any, stale: boolean}|null}
    */
-  get(key) {
+  getEntry(key) {
     try {
       const item = localStorage.getItem(CACHE_PREFIX + key);
       if (!item) return null;
 
-      const { value, expiry } = JSON.parse(item);
+      const entry = JSON.parse(item);
+
+      if (entry.version !== CACHE_SCHEMA_VERSION || entry.networkId !== CONFIG.networkId) {
+        this.removeItem(CACHE_PREFIX + key);
+        return null;
+      }
 
-      // If expiry is Infinity, never expire
-      if (expiry !== Infinity && Date.now() > expiry) {
-        localStorage.removeItem(CACHE_PREFIX + key);
+      // expiry null means never expire (JSON has no Infinity)
+      const stale = entry.expiry !== null && Date.now() > entry.expiry;
+
+      if (stale && !CONFIG.cache.staleWhileRevalidate) {
+        this.removeItem(CACHE_PREFIX + key);
         return null;
       }
 
-      return value;
+      const now = Date.now();
+      if (now - entry.lastAccess > ACCESS_RESOLUTION_MS) {
+        entry.lastAccess = now;
+        localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(entry));
+      }
+
+      return { value: entry.value, stale };
     } catch {
       return null;
     }
   },
 
+  /**
+   * Get cached value if not expired
+   * @param {string} key
+   * @returns {any|null}
+   */
+  get(key) {
+    const entry = this.getEntry(key);
+    if (!entry || entry.stale) return null;
+    return entry.value;
+  },
+
   /**
    * Set cached value with TTL
    * @param {string} key 
    * @param {any} value 
-   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {number} ttlMs - Time to live in milliseconds (Infinity = never expire)
    */
   set(key, value, ttlMs) {
+    const now = Date.now();
+    const item = JSON.stringify({
+      version: CACHE_SCHEMA_VERSION,
+      networkId: CONFIG.networkId,
+      value,
+      expiry: ttlMs === Infinity ? null : now + ttlMs,
+      lastAccess: now
+    });
+    // Count before writing, so a lazy count doesn't include this entry yet
+    let count = this.countEntries();
+    let isNew = localStorage.getItem(CACHE_PREFIX + key) === null;
+
     try {
-      const item = {
-        value,
-        expiry: Date.now() + ttlMs
-      };
-      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(item));
+      localStorage.setItem(CACHE_PREFIX + key, item);
     } catch (e) {
-      console.warn('Cache write failed:', e);
+      if (!isQuotaExceeded(e)) {
+        console.warn('Cache write failed:', e);
+        return;
+      }
+
+      // Storage full - make room and try once more
+      this.evict(Math.floor(CONFIG.cache.maxEntries / 2));
+      count = this.entryCount;
+      isNew = localStorage.getItem(CACHE_PREFIX + key) === null;
+      try {
+        localStorage.setItem(CACHE_PREFIX + key, item);
+      } catch (retryError) {
+        console.warn('Cache write failed after eviction:', retryError);
+        return;
+      }
+    }
+
+    this.entryCount = isNew ? count + 1 : count;
+    if (this.entryCount > CONFIG.cache.maxEntries) {
+      this.evict(CONFIG.cache.maxEntries);
     }
   },
 
@@ -53,13 +157,13 @@ export const cache = {
    * @param {string} key 
    */
   remove(key) {
-    localStorage.removeItem(CACHE_PREFIX + key);
+    this.removeItem(CACHE_PREFIX + key);
   },
 
   /**
-   * Clear all hypercave cache entries
+   * @returns {string[]} - Full localStorage keys of all hypercave entries
    */
-  clearAll() {
+  keys() {
     const keys = [];
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
@@ -67,7 +171,40 @@ export const cache = {
         keys.push(key);
       }
     }
-    keys.forEach(k => localStorage.removeItem(k));
+    return keys;
+  },
+
+  /**
+   * Drop least recently used entries until at most maxEntries remain
+   * Unreadable entries go first
+   * @param {number} maxEntries
+   */
+  evict(maxEntries) {
+    const keys = this.keys();
+    this.entryCount = keys.length;
+    if (keys.length <= maxEntries) return;
+
+    const byAccess = keys.map(key => {
+      try {
+        return { key, lastAccess: JSON.parse(localStorage.getItem(key)).lastAccess || 0 };
+      } catch {
+        return { key, lastAccess: 0 };
+      }
+    });
+
+    byAccess.sort((a, b) => a.lastAccess - b.lastAccess);
+    byAccess
+      .slice(0, keys.length - maxEntries)
+      .forEach(({ key }) => localStorage.removeItem(key));
+    this.entryCount = maxEntries;
+  },
+
+  /**
+   * Clear all hypercave cache entries
+   */
+  clearAll() {
+    this.keys().forEach(k => localStorage.removeItem(k));
+    this.entryCount = 0;
   }
 };
 
@@ -75,6 +212,7 @@ export const cache = {
 /**
  * In-memory session cache for transient data (account resources)
  * Data lost on browser refresh - suitable for frequently changing data
+ * (account views are also persisted in persistentCache below)
  */
 
 export const sessionCache = {
@@ -127,6 +265,152 @@ export const sessionCache = {
   }
 };
 
+/**
+ * IndexedDB tier for account views (fungibles, NFT collections, cave tokens)
+ * Same get/set/remove interface as the caches above, but async. Records are
+ * keyed by network, tagged with the account and the ledger state version they
+ * were read at, so a reload can show the last known lists straight away while
+ * the gateway is asked again (see cachedView in gateway.js).
+ *
+ * Every method degrades to a miss/no-op when IndexedDB is unavailable.
+ * Set `factory` to use another IDBFactory (e.g. fake-indexeddb under Node).
+ */
+
+const IDB_NAME = 'hypercave_cache';
+const IDB_STORE = 'views';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export const persistentCache = {
+  factory: null,
+
+  /**
+   * @returns {IDBFactory|null}
+   */
+  getFactory() {
+    return this.factory || globalThis.indexedDB || null;
+  },
+
+  /**
+   * Run one operation against the views store
+   * @param {IDBTransactionMode} mode
+   * @param {function(IDBObjectStore): IDBRequest} fn
+   * @returns {Promise<any>}
+   */
+  async withStore(mode, fn) {
+    const factory = this.getFactory();
+    if (!factory) throw new Error('IndexedDB unavailable');
+
+    const request = factory.open(IDB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(IDB_STORE, { keyPath: 'id' });
+    };
+    const db = await promisify(request);
+
+    try {
+      return await promisify(fn(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE)));
+    } finally {
+      db.close();
+    }
+  },
+
+  /**
+   * @param {string} key
+   * @returns {string} - Record id, scoped to the active network
+   */
+  recordId(key) {
+    return `${CONFIG.networkId}:${key}`;
+  },
+
+  /**
+   * Get a persisted record if not expired
+   * @param {string} key
+   * @returns {Promise<{value: any, account: string|null, stateVersion: number|null, storedAt: number}|null>}
+   */
+  async get(key) {
+    try {
+      const record = await this.withStore('readonly', store => store.get(this.recordId(key)));
+      if (!record) return null;
+
+      if (record.version !== CACHE_SCHEMA_VERSION || Date.now() > record.expiry) {
+        await this.remove(key);
+        return null;
+      }
+
+      return {
+        value: record.value,
+        account: record.account,
+        stateVersion: record.stateVersion,
+        storedAt: record.storedAt
+      };
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Persist a value with TTL
+   * @param {string} key
+   * @param {any} value - Must be structured-cloneable
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {{account?: string|null, stateVersion?: number|null}} [tags]
+   */
+  async set(key, value, ttlMs, { account = null, stateVersion = null } = {}) {
+    const now = Date.now();
+
+    try {
+      await this.withStore('readwrite', store => store.put({
+        id: this.recordId(key),
+        version: CACHE_SCHEMA_VERSION,
+        networkId: CONFIG.networkId,
+        account,
+        stateVersion,
+        value,
+        expiry: now + ttlMs,
+        storedAt: now
+      }));
+    } catch (e) {
+      console.warn('Persistent cache write failed:', e);
+    }
+  },
+
+  /**
+   * Remove specific key
+   * @param {string} key
+   */
+  async remove(key) {
+    try {
+      await this.withStore('readwrite', store => store.delete(this.recordId(key)));
+    } catch {
+      // Nothing persisted
+    }
+  },
+
+  /**
+   * Delete the whole database (every network and account)
+   */
+  async clear() {
+    const factory = this.getFactory();
+    if (!factory) return;
+
+    try {
+      await promisify(factory.deleteDatabase(IDB_NAME));
+    } catch (e) {
+      console.warn('Persistent cache clear failed:', e);
+    }
+  }
+};
+
 // NOTE: permanentResourceCache has been removed
 // Token discovery now happens by querying the cave's KeyValueStore directly via the Gateway API
 // See getAllCaveTokens() in gateway.js
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { CONFIG } from './config.js';
+import { addDecimal, compareDecimal, isDecimal, isZeroDecimal } from './decimal.js';
+import { formatAmount } from './utils.js';
+
+/**
+ * Cave-wide statistics
+ * Every balance in the cave is one (NFT key, resource) entry. Per resource we
+ * count the entries, add up the value locked and sort the balances into
+ * order-of-magnitude buckets, so a user can see how many other caves an
+ * amount would hide among before depositing it.
+ */
+
+/**
+ * @param {string} amount
+ * @param {string[]} edges - Ascending bucket edges
+ * @returns {number} - Bucket index (0 .. edges.length)
+ */
+export function bucketIndex(amount, edges) {
+  const index = edges.findIndex(edge => compareDecimal(amount, edge) < 0);
+  return index === -1 ? edges.length : index;
+}
+
+/**
+ * @param {number} index - Bucket index
+ * @param {string[]} edges - Ascending bucket edges
+ * @returns {string} - e.g. "< 0.01", "1 - 100", "≥ 1,000,000"
+ */
+export function bucketLabel(index, edges) {
+  if (index === 0) return `< ${formatAmount(edges[0])}`;
+  if (index >= edges.length) return `≥ ${formatAmount(edges[edges.length - 1])}`;
+  return `${formatAmount(edges[index - 1])} - ${formatAmount(edges[index])}`;
+}
+
+/**
+ * Aggregate raw cave balances per resource
+ * Empty balances (keys that took everything out) are not counted
+ * @param {Array<{resourceAddress: string, amount: string}>} balances - One per cave entry
+ * @param {string[]} [edges] - Ascending bucket edges
+ * @returns {Array<{resourceAddress: string, total: string, entries: number, buckets: number[]}>}
+ *   - Sorted by entry count, biggest anonymity set first
+ */
+export function aggregateCaveStats(balances, edges = CONFIG.caveStats.bucketEdges) {
+  const byResource = new Map();
+
+  for (const { resourceAddress, amount } of balances) {
+    if (!isDecimal(amount) || isZeroDecimal(amount)) continue;
+
+    let stats = byResource.get(resourceAddress);
+    if (!stats) {
+      stats = {
+        resourceAddress,
+        total: '0',
+        entries: 0,
+        buckets: new Array(edges.length + 1).fill(0)
+      };
+      byResource.set(resourceAddress, stats);
+    }
+
+    stats.total = addDecimal(stats.total, amount);
+    stats.entries += 1;
+    stats.buckets[bucketIndex(amount, edges)] += 1;
+  }
+
+  return [...byResource.values()].sort((a, b) => b.entries - a.entries);
+}
@@ -1,37 +1,242 @@
+import { decodeBech32mHrp } from './bech32m.js';
+
+/**
+ * Network profiles
+ * Each profile carries everything that differs between deployments.
+ * Addresses are checked against the profile's HRP and their Bech32m checksum
+ * at startup (see validateConfig)
+ */
+export const NETWORKS = {
+  stokenet: {
+    network: 'stokenet',
+    networkId: 2,
+
+    // Bech32m HRP suffix: addresses look like component_tdx_2_1...
+    hrpSuffix: 'tdx_2_',
+
+    // Gateway API endpoints, tried in order (add fallback gateways after the primary)
+    gatewayUrls: ['https://stokenet.radixdlt.com'],
+
+    // Dashboard for transaction links
+    dashboardUrl: 'https://stokenet-dashboard.radixdlt.com',
+
+    // Replace with your deployed Hypercave component address
+    componentAddress: 'component_tdx_2_1cq6msn5wndhnjg8aa256fc6mvhjp9u27kxfjy77lvl4pr43sgex6p2',
+
+    // Replace with your dApp definition account address
+    dAppDefinitionAddress: 'account_tdx_2_12ypnf68metvh2jgfp9zd4asc3aha0agjdmnxdzev2pczxl6hz5d20m',
+
+    // KeyValueStore address for the cave's token balances
+    // This stores all user balances: Map<(NonFungibleLocalId, ResourceAddress), Decimal>
+    caveKvsAddress: 'internal_keyvaluestore_tdx_2_1kr0vu2yjfkj2dnu8vvhk4h5g9ef8l6g2u2ys92eu44ya9n9a8ru7hn',
+
+    xrdAddress: 'resource_tdx_2_1tknxxxxxxxxxradxrdxxxxxxxxx009923554798xxxxxxxxxtfd2jc'
+  },
+
+  mainnet: {
+    network: 'mainnet',
+    networkId: 1,
+
+    // Bech32m HRP suffix: addresses look like component_rdx1...
+    hrpSuffix: 'rdx',
+
+    gatewayUrls: ['https://mainnet.radixdlt.com'],
+    dashboardUrl: 'https://dashboard.radixdlt.com',
+
+    // Fill in once the mainnet component is deployed - app refuses to load while empty
+    componentAddress: '',
+    dAppDefinitionAddress: '',
+    caveKvsAddress: '',
+
+    xrdAddress: 'resource_rdx1tknxxxxxxxxxradxrdxxxxxxxxx009923554798xxxxxxxxxradxrd'
+  }
+};
+
+export const DEFAULT_NETWORK = 'stokenet';
+
+/**
+ * Pick the active network name
+ * URL parameter (?network=mainnet) wins over build-time env (VITE_NETWORK)
+ * @returns {string}
+ */
+function resolveNetworkName() {
+  if (typeof window !== 'undefined' && window.location) {
+    const fromUrl = new URLSearchParams(window.location.search).get('network');
+    if (fromUrl) return fromUrl.toLowerCase();
+  }
+
+  const fromEnv = import.meta.env?.VITE_NETWORK;
+  if (fromEnv) return fromEnv.toLowerCase();
+
+  return DEFAULT_NETWORK;
+}
+
+const activeNetworkName = resolveNetworkName();
+
 export const CONFIG = {
-  // Network settings
-  network: 'stokenet',
-  networkId: 2,
-  
-  // Gateway API endpoint
-  gatewayUrl: 'https://stokenet.radixdlt.com',
-  
-  // Replace with your deployed Hypercave component address
-  componentAddress: 'component_tdx_2_1cq6msn5wndhnjg8aa256fc6mvhjp9u27kxfjy77lvl4pr43sgex6p2',
-
-  // Replace with your dApp definition account address
-  dAppDefinitionAddress: 'account_tdx_2_12ypnf68metvh2jgfp9zd4asc3aha0agjdmnxdzev2pczxl6hz5d20m',
-
-  // KeyValueStore address for the cave's token balances
-  // This stores all user balances: Map<(NonFungibleLocalId, ResourceAddress), Decimal>
-  caveKvsAddress: 'internal_keyvaluestore_tdx_2_1kr0vu2yjfkj2dnu8vvhk4h5g9ef8l6g2u2ys92eu44ya9n9a8ru7hn',
-  
+  // Active network profile (unknown names fall back to an empty profile that fails validation)
+  ...(NETWORKS[activeNetworkName] || { network: activeNetworkName }),
+
   // Cache time-to-live settings (milliseconds)
   cacheTtl: {
-    // Resource metadata rarely changes - cache indefinitely (manual invalidation only)
-    resourceMetadata: Infinity,
+    // Resource metadata rarely changes - stale after a day, then served from
+    // cache while a background refresh picks up new icons/symbols
+    resourceMetadata: 24 * 60 * 60 * 1000,
     // Account balances - cache indefinitely, invalidate after transactions only
     accountResources: Infinity,
+    // Per-NFT data (name, image) - mutable fields can change, so refresh hourly
+    nftData: 60 * 60 * 1000,
+    // Account views kept in IndexedDB across reloads (always revalidated on use)
+    persistedViews: 7 * 24 * 60 * 60 * 1000,
+    // CAVE STATS (session only) - a full cave scan, reused until COUNT AGAIN or this old
+    caveStats: 10 * 60 * 1000,
+    // Recent cave activity for the privacy check - short, new moves happen all the time
+    caveActivity: 5 * 60 * 1000,
+  },
+
+  // Persistent (localStorage) cache
+  cache: {
+    // Least recently used entries are evicted above this count
+    maxEntries: 1000,
+    // Serve expired entries immediately and refresh them in the background
+    // (off: expired entries are a miss and the caller waits for the gateway)
+    staleWhileRevalidate: true
+  },
+
+  // OUT CAVE fee - real rate is read from component state, these are fallbacks
+  withdrawalFee: {
+    // Top-level Decimal field of the component state holding the rate. Only
+    // this exact field is trusted; if it is missing the preview uses
+    // defaultRate and says the fee is not confirmed
+    stateField: 'fee_rate',
+    // 0.1% of each withdrawal
+    defaultRate: '0.001',
+    // Component never allows more than 1%
+    maxRate: '0.01'
+  },
+
+  // Duress gesture: press Ctrl+Alt+Shift+X (or hold the logo for holdMs) to
+  // wipe every local cave trace in every tab and disconnect the wallet.
+  // Matched on KeyboardEvent.code so layouts and Alt-modified characters don't matter
+  panic: {
+    chord: { code: 'KeyX', ctrlKey: true, altKey: true, shiftKey: true },
+    holdMs: 3000
+  },
+
+  // /state/entity/details batching: lookups made within batchWindowMs are merged
+  // into one request, split at the gateway's per-request address limit
+  entityDetails: {
+    pageSize: 20,
+    batchWindowMs: 10
+  },
+
+  // CAVE STATS (read-only view of every balance in the cave KVS)
+  caveStats: {
+    // Max keys per /state/key-value-store/data request
+    dataPageSize: 100,
+    // Balance buckets (token units) for the distribution chart
+    bucketEdges: ['0.01', '1', '100', '10000', '1000000'],
+    // Fewer entries than this: amounts of that token are easy to tell apart
+    smallAnonymitySet: 10
   },
-  
-  // Rate limiting for Gateway API calls
+
+  // Privacy check before IN / OUT CAVE, against recent cave moves from the
+  // transaction stream
+  anonymity: {
+    // Transactions to look back over (one /stream/transactions page, max 100)
+    recentTransactions: 100,
+    // Fewer recent moves of a token than this: warn it is easy to follow
+    minTokenActivity: 5,
+    // Amounts with more significant digits than this count as unusual
+    roundDigits: 2,
+    // Max parts when suggesting a split
+    maxSplitParts: 3
+  },
+
+  // Staggered OUT CAVE: one withdrawal split into chunks signed over time
+  splitPlan: {
+    maxChunks: 10,
+    // Chunk sizes vary by up to this fraction around an even split
+    jitter: 0.4,
+    // Spread offered by default in the modal
+    defaultSpreadHours: 24,
+    // How often an open tab looks for chunks that became due
+    checkIntervalMs: 30 * 1000
+  },
+
+  // Max NFT IDs per /state/non-fungible/data request
+  nftDataPageSize: 100,
+
+  // Max resources per query_balances preview (LOOK ALL splits bigger lists)
+  lookChunkSize: 50,
+
+  // Polling for transaction commit after wallet submission
+  transactionPolling: {
+    intervalMs: 2000,
+    timeoutMs: 120000
+  },
+
+  // Gateway retries and failover
+  gatewayRetry: {
+    maxRetries: 3,
+    // Backoff: random delay up to min(maxDelayMs, baseDelayMs * 2^attempt)
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    // Abort a single request after this long
+    timeoutMs: 15000,
+    // A failing endpoint is skipped for unhealthyMs, doubling per failure
+    unhealthyMs: 30000,
+    maxUnhealthyMs: 5 * 60 * 1000
+  },
+
+  // Rate limiting for Gateway API calls (per endpoint)
   rateLimit: {
     maxRequests: 10,
     windowMs: 1000
   }
 };
 
-// For mainnet deployment, change to:
-// networkId: 1,
-// gatewayUrl: 'https://mainnet.radixdlt.com',
-// XRD: 'resource_rdx1tknxxxxxxxxxradxrdxxxxxxxxx009923554798xxxxxxxxxradxrd'
\ No newline at end of file
+/**
+ * Check an address belongs to the active network (HRP and Bech32m checksum)
+ * @param {string} address
+ * @param {string} entityPrefix - e.g. 'account', 'component', 'resource'
+ * @returns {boolean}
+ */
+export function isAddressOnNetwork(address, entityPrefix) {
+  if (!address || typeof address !== 'string' || !CONFIG.hrpSuffix) return false;
+  return decodeBech32mHrp(address) === `${entityPrefix}_${CONFIG.hrpSuffix}`;
+}
+
+/**
+ * Validate the active profile before anything talks to the ledger
+ * @returns {string[]} - List of problems (empty when config is usable)
+ */
+export function validateConfig() {
+  if (!NETWORKS[activeNetworkName]) {
+    return [`Unknown network "${activeNetworkName}"`];
+  }
+
+  const checks = [
+    ['componentAddress', 'component'],
+    ['dAppDefinitionAddress', 'account'],
+    ['caveKvsAddress', 'internal_keyvaluestore'],
+    ['xrdAddress', 'resource']
+  ];
+
+  const errors = [];
+
+  if (!Array.isArray(CONFIG.gatewayUrls) || CONFIG.gatewayUrls.length === 0) {
+    errors.push(`gatewayUrls not set for ${CONFIG.network}`);
+  }
+
+  for (const [field, entityPrefix] of checks) {
+    const value = CONFIG[field];
+    if (!value) {
+      errors.push(`${field} not set for ${CONFIG.network}`);
+    } else if (!isAddressOnNetwork(value, entityPrefix)) {
+      errors.push(`${field} is not a valid ${CONFIG.network} ${entityPrefix} address`);
+    }
+  }
+
+  return errors;
+}
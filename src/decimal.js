@@ -0,0 +1,187 @@
+/**
+ * Exact fixed-point decimal arithmetic (matches Scrypto Decimal: 18 fractional digits)
+ * Values go in and out as strings - never through parseFloat
+ * Internally a value is a BigInt scaled by 10^18
+ */
+
+export const DECIMAL_PLACES = 18;
+
+const SCALE = 10n ** BigInt(DECIMAL_PLACES);
+const DECIMAL_PATTERN = /^(-)?([0-9]*)(?:\.([0-9]*))?$/;
+const EXPONENT_PATTERN = /^(-)?([0-9]*)(?:\.([0-9]*))?e([+-]?[0-9]+)$/i;
+// Every finite JS number fits; anything further out is rejected
+const MAX_EXPONENT = 400;
+
+/**
+ * Check a string is a plain decimal number (no exponent, no separators)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isDecimal(value) {
+  if (typeof value !== 'string') return false;
+  const match = DECIMAL_PATTERN.exec(value.trim());
+  if (!match) return false;
+  // Need at least one digit somewhere ("." and "-" alone are not numbers)
+  return Boolean(match[2] || match[3]);
+}
+
+/**
+ * Rewrite exponent notation ("1e-7", "2.5E+3") as a plain decimal string
+ * JavaScript prints very small and very large numbers that way
+ * @param {string} str
+ * @returns {string} - str unchanged if it is not in exponent notation
+ */
+function expandExponent(str) {
+  const match = EXPONENT_PATTERN.exec(str);
+  if (!match || !(match[2] || match[3]) || Math.abs(Number(match[4])) > MAX_EXPONENT) return str;
+
+  const [, sign = '', intPart = '', fracPart = '', exponent] = match;
+  const digits = intPart + fracPart;
+  const point = intPart.length + Number(exponent);
+
+  let plain;
+  if (point <= 0) {
+    plain = `0.${'0'.repeat(-point)}${digits}`;
+  } else if (point >= digits.length) {
+    plain = digits.padEnd(point, '0');
+  } else {
+    plain = `${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+  return `${sign}${plain}`;
+}
+
+/**
+ * Parse a decimal string into a scaled BigInt
+ * Digits beyond 18 decimal places are truncated. Exponent notation is
+ * accepted here (numbers like 1e-7 stringify that way), but isDecimal
+ * still rejects it so typed amounts stay plain
+ * @param {string|number|bigint} value
+ * @returns {bigint}
+ */
+export function parseDecimal(value) {
+  if (typeof value === 'bigint') return value * SCALE;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid decimal: ${value}`);
+    // Integers only - fractional numbers must already be strings to stay exact
+    if (!Number.isInteger(value)) value = String(value);
+    else return BigInt(value) * SCALE;
+  }
+
+  const str = typeof value === 'string' ? expandExponent(value.trim()) : '';
+  if (!isDecimal(str)) {
+    throw new Error(`Invalid decimal: ${value}`);
+  }
+
+  const [, sign, intPart, fracPart = ''] = DECIMAL_PATTERN.exec(str);
+  const fraction = fracPart.slice(0, DECIMAL_PLACES).padEnd(DECIMAL_PLACES, '0');
+  const scaled = BigInt(intPart || '0') * SCALE + BigInt(fraction);
+
+  return sign ? -scaled : scaled;
+}
+
+/**
+ * Convert a scaled BigInt back to a canonical decimal string
+ * ("1.500" -> "1.5", "2.0" -> "2", never scientific notation)
+ * @param {bigint} scaled
+ * @returns {string}
+ */
+export function toDecimalString(scaled) {
+  const negative = scaled < 0n;
+  const abs = negative ? -scaled : scaled;
+
+  const intPart = (abs / SCALE).toString();
+  const fracPart = (abs % SCALE).toString().padStart(DECIMAL_PLACES, '0').replace(/0+$/, '');
+
+  const result = fracPart ? `${intPart}.${fracPart}` : intPart;
+  return negative ? `-${result}` : result;
+}
+
+/**
+ * Normalize a decimal string to its canonical form
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeDecimal(value) {
+  return toDecimalString(parseDecimal(value));
+}
+
+/**
+ * Compare two decimals
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - -1, 0 or 1
+ */
+export function compareDecimal(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {string} - a + b
+ */
+export function addDecimal(a, b) {
+  return toDecimalString(parseDecimal(a) + parseDecimal(b));
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {string} - a - b
+ */
+export function subDecimal(a, b) {
+  return toDecimalString(parseDecimal(a) - parseDecimal(b));
+}
+
+/**
+ * Multiply an amount by a rate (e.g. fee "0.001"), truncating toward zero
+ * @param {string} amount
+ * @param {string} rate
+ * @returns {string}
+ */
+export function mulDecimal(amount, rate) {
+  return toDecimalString((parseDecimal(amount) * parseDecimal(rate)) / SCALE);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isZeroDecimal(value) {
+  return parseDecimal(value) === 0n;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {string} - The larger of a and b
+ */
+export function maxDecimal(a, b) {
+  return compareDecimal(a, b) >= 0 ? normalizeDecimal(a) : normalizeDecimal(b);
+}
+
+/**
+ * Truncate a decimal to a number of fractional digits (toward zero)
+ * @param {string} value
+ * @param {number} places
+ * @returns {string}
+ */
+export function truncateDecimal(value, places) {
+  const step = 10n ** BigInt(DECIMAL_PLACES - Math.min(Math.max(places, 0), DECIMAL_PLACES));
+  return toDecimalString((parseDecimal(value) / step) * step);
+}
+
+/**
+ * Count fractional digits of a decimal string as typed
+ * @param {string} value
+ * @returns {number}
+ */
+export function countDecimalPlaces(value) {
+  if (!value || typeof value !== 'string') return 0;
+  const parts = value.split('.');
+  if (parts.length < 2) return 0;
+  return parts[1].length;
+}
@@ -1,64 +1,233 @@
 import { CONFIG } from './config.js';
-import { cache, sessionCache } from './cache.js';
-import { shortenAddress } from './utils.js';
+import { cache, persistentCache, sessionCache } from './cache.js';
+import { compareDecimal, isDecimal } from './decimal.js';
+import { chunkArray, shortenAddress } from './utils.js';
+import { aggregateCaveStats } from './caveStats.js';
 
-const rateLimiter = {
-  tokens: CONFIG.rateLimit.maxRequests,
-  lastRefill: Date.now(),
-  
-  async acquire() {
-    const now = Date.now();
-    const elapsed = now - this.lastRefill;
-    
-    if (elapsed >= CONFIG.rateLimit.windowMs) {
-      this.tokens = CONFIG.rateLimit.maxRequests;
-      this.lastRefill = now;
-    }
+/**
+ * Token bucket rate limiter for one Gateway endpoint
+ * `pause` lets the retry logic hold every caller back after a 429
+ * @returns {object}
+ */
+function createRateLimiter() {
+  return {
+    tokens: CONFIG.rateLimit.maxRequests,
+    lastRefill: Date.now(),
+    pausedUntil: 0,
     
-    if (this.tokens <= 0) {
-      const waitTime = CONFIG.rateLimit.windowMs - elapsed;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return this.acquire();
+    async acquire() {
+      const now = Date.now();
+
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        return this.acquire();
+      }
+
+      const elapsed = now - this.lastRefill;
+      
+      if (elapsed >= CONFIG.rateLimit.windowMs) {
+        this.tokens = CONFIG.rateLimit.maxRequests;
+        this.lastRefill = now;
+      }
+      
+      if (this.tokens <= 0) {
+        const waitTime = CONFIG.rateLimit.windowMs - elapsed;
+        await sleep(waitTime);
+        return this.acquire();
+      }
+      
+      this.tokens--;
+      return true;
+    },
+
+    /**
+     * Hold all requests to this endpoint for a while
+     * @param {number} ms
+     */
+    pause(ms) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+      this.tokens = 0;
     }
-    
-    this.tokens--;
-    return true;
+  };
+}
+
+/**
+ * Per-endpoint state: rate limiter + health for failover
+ * Endpoints are tried in CONFIG.gatewayUrls order, skipping unhealthy ones
+ */
+const endpoints = (CONFIG.gatewayUrls || []).map(url => ({
+  url,
+  limiter: createRateLimiter(),
+  failures: 0,
+  unhealthyUntil: 0
+}));
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Pick the first healthy endpoint, or the one that recovers soonest
+ * @returns {object}
+ */
+function pickEndpoint() {
+  const now = Date.now();
+  const healthy = endpoints.find(e => e.unhealthyUntil <= now);
+  if (healthy) return healthy;
+
+  return endpoints.reduce((best, e) => (e.unhealthyUntil < best.unhealthyUntil ? e : best));
+}
+
+/**
+ * @param {object} endpoint
+ */
+function markFailure(endpoint) {
+  endpoint.failures++;
+  const cooldown = Math.min(
+    CONFIG.gatewayRetry.unhealthyMs * 2 ** (endpoint.failures - 1),
+    CONFIG.gatewayRetry.maxUnhealthyMs
+  );
+  endpoint.unhealthyUntil = Date.now() + cooldown;
+}
+
+/**
+ * @param {object} endpoint
+ */
+function markSuccess(endpoint) {
+  endpoint.failures = 0;
+  endpoint.unhealthyUntil = 0;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header
+ * @returns {number} - Milliseconds to wait (0 if absent)
+ */
+function parseRetryAfter(header) {
+  if (!header) return 0;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Full-jitter exponential backoff
+ * @param {number} attempt - 0-based retry number
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = CONFIG.gatewayRetry;
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Single request to one endpoint with a timeout
+ * @param {object} endpoint
+ * @param {string} path
+ * @param {object} body
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(endpoint, path, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG.gatewayRetry.timeoutMs);
+
+  try {
+    return await fetch(`${endpoint.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timer);
   }
-};
+}
 
 /**
  * Make a rate-limited request to the Gateway API
- * @param {string} endpoint - API endpoint path
+ * Retries timeouts, network errors, 429 and 5xx with jittered backoff
+ * (honouring Retry-After) and fails over between CONFIG.gatewayUrls
+ * @param {string} path - API endpoint path
  * @param {object} body - Request body
  * @returns {Promise<object>} - Response JSON
  */
-async function gatewayFetch(endpoint, body) {
-  await rateLimiter.acquire();
-  
-  const response = await fetch(`${CONFIG.gatewayUrl}${endpoint}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  
-  if (!response.ok) {
+async function gatewayFetch(path, body) {
+  if (endpoints.length === 0) {
+    throw new Error(`No gateway configured for ${CONFIG.network}`);
+  }
+
+  const { maxRetries } = CONFIG.gatewayRetry;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const endpoint = pickEndpoint();
+    await endpoint.limiter.acquire();
+
+    let response;
+    try {
+      response = await fetchWithTimeout(endpoint, path, body);
+    } catch (e) {
+      // Network failure or timeout (AbortError)
+      lastError = new Error(e.name === 'AbortError' ? 'Gateway timeout' : `Gateway unreachable: ${e.message}`);
+      markFailure(endpoint);
+      console.warn(`Gateway ${endpoint.url}${path} failed (attempt ${attempt + 1}):`, e);
+      if (attempt < maxRetries) await sleep(backoffDelay(attempt));
+      continue;
+    }
+
+    if (response.ok) {
+      markSuccess(endpoint);
+      return response.json();
+    }
+
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `Gateway error: ${response.status}`);
+    lastError = new Error(errorData.message || `Gateway error: ${response.status}`);
+    lastError.status = response.status;
+
+    // Client errors (bad request, not found...) won't get better on retry
+    if (!RETRYABLE_STATUS.has(response.status)) {
+      throw lastError;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (response.status === 429) {
+      // Endpoint is up, just busy - hold every caller back instead of failing over
+      endpoint.limiter.pause(retryAfter || backoffDelay(attempt));
+    } else {
+      markFailure(endpoint);
+    }
+
+    console.warn(`Gateway ${endpoint.url}${path} returned ${response.status} (attempt ${attempt + 1})`);
+
+    if (attempt < maxRetries) {
+      await sleep(Math.max(retryAfter, backoffDelay(attempt)));
+    }
   }
-  
-  return response.json();
+
+  throw lastError;
 }
 
 /**
- * Fetch current network status to get epoch
- * @returns {Promise<{epoch: number, round: number}>}
+ * Fetch current network status to get epoch and ledger state version
+ * @returns {Promise<{epoch: number, round: number, stateVersion: number}>}
  */
 export async function getNetworkStatus() {
   const data = await gatewayFetch('/status/gateway-status', {});
   
   return {
     epoch: data.ledger_state.epoch,
-    round: data.ledger_state.round
+    round: data.ledger_state.round,
+    stateVersion: data.ledger_state.state_version
   };
 }
 
@@ -80,142 +249,454 @@ function extractMetadata(items) {
   return result;
 }
 
+/**
+ * Batched /state/entity/details loader
+ * Callers ask for single addresses; requests made within the batch window are
+ * merged, split into gateway-sized chunks, and an address already being
+ * fetched is never requested twice. Every caller shares the same opt-ins so
+ * metadata, role assignments and component state all come from one request.
+ */
+const entityDetailsLoader = {
+  // address -> promise of the details item (until its request settles)
+  inFlight: new Map(),
+  // address -> {resolve, reject} waiting for the batch window to close
+  pending: new Map(),
+  timer: null,
+
+  /**
+   * @param {string[]} addresses
+   * @returns {Promise<Map<string, object>>} - address -> details item (missing addresses left out)
+   */
+  async load(addresses) {
+    const unique = [...new Set(addresses)];
+    const items = await Promise.all(unique.map(addr => this.loadOne(addr)));
+
+    const result = new Map();
+    unique.forEach((addr, i) => {
+      if (items[i]) result.set(addr, items[i]);
+    });
+    return result;
+  },
+
+  /**
+   * @param {string} address
+   * @returns {Promise<object|null>}
+   */
+  loadOne(address) {
+    if (this.inFlight.has(address)) {
+      return this.inFlight.get(address);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.pending.set(address, { resolve, reject });
+    });
+    this.inFlight.set(address, promise);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), CONFIG.entityDetails.batchWindowMs);
+    }
+
+    return promise;
+  },
+
+  /**
+   * Send everything collected during the window
+   */
+  async flush() {
+    const batch = this.pending;
+    this.pending = new Map();
+    this.timer = null;
+
+    const chunks = chunkArray([...batch.keys()], CONFIG.entityDetails.pageSize);
+
+    await Promise.all(chunks.map(async chunk => {
+      try {
+        const data = await gatewayFetch('/state/entity/details', {
+          addresses: chunk,
+          aggregation_level: 'Global',
+          opt_ins: {
+            explicit_metadata: ['name', 'symbol', 'icon_url', 'description']
+          }
+        });
+
+        const byAddress = new Map(data.items.map(item => [item.address, item]));
+        for (const addr of chunk) {
+          batch.get(addr).resolve(byAddress.get(addr) || null);
+        }
+      } catch (e) {
+        for (const addr of chunk) {
+          batch.get(addr).reject(e);
+        }
+      } finally {
+        for (const addr of chunk) {
+          this.inFlight.delete(addr);
+        }
+      }
+    }));
+  }
+};
+
+/**
+ * Fired on gatewayEvents when a background refresh changes cached metadata
+ * event.detail.metadata: map of address -> new metadata (changed resources only)
+ */
+export const METADATA_UPDATED = 'resource-metadata-updated';
+
+/**
+ * Gateway-side events the UI can subscribe to
+ */
+export const gatewayEvents = new EventTarget();
+
+/**
+ * Fetch resource metadata from the gateway and cache it
+ * @param {string[]} addresses - Resource addresses
+ * @returns {Promise<object>} - Map of address -> metadata
+ */
+async function fetchResourceMetadata(addresses) {
+  const results = {};
+  const items = await entityDetailsLoader.load(addresses);
+  
+  for (const item of items.values()) {
+    const meta = extractMetadata(item.explicit_metadata?.items || []);
+    
+    // Extract divisibility from fungible resource details
+    let divisibility = 18; // Default for fungibles
+    if (item.details?.type === 'FungibleResource') {
+      divisibility = item.details.divisibility ?? 18;
+    }
+    
+    const resourceData = {
+      address: item.address,
+      name: meta.name || shortenAddress(item.address, 15, 6),
+      symbol: meta.symbol || '',
+      iconUrl: meta.icon_url || null,
+      description: meta.description || '',
+      entityType: item.details?.type,
+      divisibility
+    };
+    
+    results[item.address] = resourceData;
+    
+    cache.set(
+      `resource:${item.address}`, 
+      resourceData, 
+      CONFIG.cacheTtl.resourceMetadata
+    );
+  }
+  
+  return results;
+}
+
+/**
+ * Refresh stale metadata without blocking the caller
+ * Fires METADATA_UPDATED for resources whose metadata actually changed
+ * @param {object} staleValues - Map of address -> cached (stale) metadata
+ */
+async function revalidateResourceMetadata(staleValues) {
+  try {
+    const fresh = await fetchResourceMetadata(Object.keys(staleValues));
+    const changed = {};
+
+    for (const [address, data] of Object.entries(fresh)) {
+      if (JSON.stringify(data) !== JSON.stringify(staleValues[address])) {
+        changed[address] = data;
+      }
+    }
+
+    if (Object.keys(changed).length > 0) {
+      gatewayEvents.dispatchEvent(new CustomEvent(METADATA_UPDATED, { detail: { metadata: changed } }));
+    }
+  } catch (e) {
+    // Keep serving the stale copy; the next read will try again
+    console.warn('Background metadata refresh failed:', e);
+  }
+}
+
 /**
  * Fetch metadata for multiple resources (with caching)
  * Includes divisibility from fungible resource details
+ * Stale entries are returned immediately and refreshed in the background
+ * (see CONFIG.cache.staleWhileRevalidate and METADATA_UPDATED)
  * @param {string[]} addresses - Resource addresses
  * @returns {Promise<object>} - Map of address -> metadata
  */
 export async function getResourceMetadata(addresses) {
   const results = {};
+  const stale = {};
   const toFetch = [];
   
   for (const addr of addresses) {
-    const cached = cache.get(`resource:${addr}`);
+    const cached = cache.getEntry(`resource:${addr}`);
     if (cached) {
-      results[addr] = cached;
+      results[addr] = cached.value;
+      if (cached.stale) stale[addr] = cached.value;
     } else {
       toFetch.push(addr);
     }
   }
   
+  if (Object.keys(stale).length > 0) {
+    revalidateResourceMetadata(stale);
+  }
+  
   if (toFetch.length > 0) {
-    const data = await gatewayFetch('/state/entity/details', {
-      addresses: toFetch,
-      aggregation_level: 'Global',
-      opt_ins: {
-        explicit_metadata: ['name', 'symbol', 'icon_url', 'description']
-      }
-    });
-    
-    for (const item of data.items) {
-      const meta = extractMetadata(item.explicit_metadata?.items || []);
-      
-      // Extract divisibility from fungible resource details
-      let divisibility = 18; // Default for fungibles
-      if (item.details?.type === 'FungibleResource') {
-        divisibility = item.details.divisibility ?? 18;
-      }
-      
-      const resourceData = {
-        address: item.address,
-        name: meta.name || shortenAddress(item.address, 15, 6),
-        symbol: meta.symbol || '',
-        iconUrl: meta.icon_url || null,
-        description: meta.description || '',
-        entityType: item.details?.type,
-        divisibility
-      };
-      
-      results[item.address] = resourceData;
-      
-      cache.set(
-        `resource:${item.address}`, 
-        resourceData, 
-        CONFIG.cacheTtl.resourceMetadata
-      );
-    }
+    Object.assign(results, await fetchResourceMetadata(toFetch));
   }
   
   return results;
 }
 
 /**
- * Get all fungible resources for an account
- * @param {string} accountAddress 
- * @returns {Promise<Array>} - Array of fungible resource objects with divisibility
+ * Resolve the access rule type for a role ('AllowAll', 'DenyAll', 'Protected' or null)
+ * @param {object} roleAssignments - details.role_assignments from entity details
+ * @param {string} roleName - e.g. 'withdrawer', 'recaller'
+ * @returns {string|null}
  */
-export async function getAccountFungibles(accountAddress) {
-  const cacheKey = `fungibles:${accountAddress}`;
-  const cached = sessionCache.get(cacheKey);
-  if (cached) return cached;
-  
-  const items = [];
+function getRoleRuleType(roleAssignments, roleName) {
+  const entry = (roleAssignments?.entries || []).find(e =>
+    e.role_key?.module === 'Main' && e.role_key?.name === roleName
+  );
+  if (!entry) return null;
+
+  const assignment = entry.assignment || {};
+  if (assignment.explicit_rule) return assignment.explicit_rule.type;
+  if (assignment.resolution === 'Owner') return roleAssignments.owner?.rule?.type || null;
+
+  return null;
+}
+
+/**
+ * Classify how safe a collection is as a cave key
+ * SOUL-BOUND: can't be withdrawn from the account
+ * RECALLABLE: issuer can recall it back if access is lost
+ * TRANSFERABLE: can be sent away (and cave funds lost with it)
+ * @param {object} roleAssignments
+ * @returns {'soulbound'|'recallable'|'transferable'}
+ */
+function classifyKeySafety(roleAssignments) {
+  // Withdrawer defaults to AllowAll, recaller to DenyAll
+  const withdrawer = getRoleRuleType(roleAssignments, 'withdrawer') || 'AllowAll';
+  const recaller = getRoleRuleType(roleAssignments, 'recaller') || 'DenyAll';
+
+  if (withdrawer === 'DenyAll') return 'soulbound';
+  if (recaller !== 'DenyAll') return 'recallable';
+  return 'transferable';
+}
+
+/**
+ * Fetch role assignments for NFT collections and classify key safety
+ * Role assignments can be updated, so results are only kept for the session
+ * @param {string[]} addresses - NFT resource addresses
+ * @returns {Promise<object>} - Map of address -> 'soulbound' | 'recallable' | 'transferable'
+ */
+export async function getKeySafety(addresses) {
+  const results = {};
+  const toFetch = [];
+
+  for (const addr of addresses) {
+    const cached = sessionCache.get(`key_safety:${addr}`);
+    if (cached) {
+      results[addr] = cached;
+    } else {
+      toFetch.push(addr);
+    }
+  }
+
+  if (toFetch.length > 0) {
+    const items = await entityDetailsLoader.load(toFetch);
+
+    for (const item of items.values()) {
+      const safety = classifyKeySafety(item.details?.role_assignments);
+      results[item.address] = safety;
+      sessionCache.set(`key_safety:${item.address}`, safety, CONFIG.cacheTtl.accountResources);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Walk every page of a cursor-paginated endpoint at a single ledger state
+ * The state version of the first page is pinned via at_ledger_state on the
+ * following pages, so a state change mid-walk can't cause duplicates or gaps
+ * @param {string} path - Gateway API path
+ * @param {object} requestBody - Request for the first page (cursor is added per page)
+ * @param {function(object): void} onPage - Called with each page response
+ * @param {number|null} [stateVersion] - Pin every page, including the first, to this version
+ * @returns {Promise<number|null>} - Ledger state version the pages were read at
+ */
+async function fetchAllPages(path, requestBody, onPage, stateVersion = null) {
   let cursor = null;
   
   do {
-    const requestBody = {
-      address: accountAddress,
-      aggregation_level: 'Global'
-    };
+    const pageBody = { ...requestBody };
     
     if (cursor) {
-      requestBody.cursor = cursor;
+      pageBody.cursor = cursor;
+    }
+    
+    if (stateVersion !== null) {
+      pageBody.at_ledger_state = { state_version: stateVersion };
+    }
+    
+    const data = await gatewayFetch(path, pageBody);
+    
+    if (stateVersion === null) {
+      stateVersion = data.ledger_state?.state_version ?? null;
     }
     
-    const data = await gatewayFetch('/state/entity/page/fungibles/', requestBody);
+    onPage(data);
     
+    cursor = data.next_cursor;
+  } while (cursor);
+  
+  return stateVersion;
+}
+
+/**
+ * Fired on gatewayEvents when a background refresh of a persisted account view
+ * finds different data. event.detail: {key, account} (key as in cachedView)
+ */
+export const ACCOUNT_VIEW_UPDATED = 'account-view-updated';
+
+/**
+ * @param {object} view
+ * @returns {string} - View content without state versions (they move on every ledger change)
+ */
+function viewFingerprint(view) {
+  return JSON.stringify(view, (key, value) => (key === 'stateVersion' ? undefined : value));
+}
+
+/**
+ * Keep a freshly loaded view in the session cache and the IndexedDB tier
+ * @param {string} cacheKey
+ * @param {string|null} account
+ * @param {{stateVersion: number|null}} view
+ * @returns {Promise<object>} - The view
+ */
+async function storeView(cacheKey, account, view) {
+  sessionCache.set(cacheKey, view, CONFIG.cacheTtl.accountResources);
+  await persistentCache.set(cacheKey, view, CONFIG.cacheTtl.persistedViews, {
+    account,
+    stateVersion: view.stateVersion
+  });
+  return view;
+}
+
+/**
+ * Reload a view that was served from IndexedDB
+ * @param {string} cacheKey
+ * @param {string|null} account
+ * @param {function(): Promise<object>} load
+ * @param {object} persisted - The view handed to the caller
+ */
+async function revalidateView(cacheKey, account, load, persisted) {
+  try {
+    const fresh = await load();
+
+    // Invalidated (e.g. by a committed transaction) while we were loading
+    if (sessionCache.get(cacheKey) !== persisted) return;
+
+    await storeView(cacheKey, account, fresh);
+
+    if (viewFingerprint(fresh) !== viewFingerprint(persisted)) {
+      gatewayEvents.dispatchEvent(new CustomEvent(ACCOUNT_VIEW_UPDATED, { detail: { key: cacheKey, account } }));
+    }
+  } catch (e) {
+    console.warn(`Background refresh of ${cacheKey} failed:`, e);
+  }
+}
+
+/**
+ * Serve an account view from the session cache, then IndexedDB, then the gateway
+ * A persisted copy is returned at once and reloaded in the background
+ * (ACCOUNT_VIEW_UPDATED fires if the ledger moved on)
+ * @param {string} cacheKey
+ * @param {string|null} account - Account the view belongs to (null for cave-wide views)
+ * @param {function(): Promise<object>} load - Fetch the view from the gateway
+ * @returns {Promise<object>}
+ */
+async function cachedView(cacheKey, account, load) {
+  const cached = sessionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const persisted = await persistentCache.get(cacheKey);
+  if (persisted) {
+    sessionCache.set(cacheKey, persisted.value, CONFIG.cacheTtl.accountResources);
+    revalidateView(cacheKey, account, load, persisted.value);
+    return persisted.value;
+  }
+
+  return storeView(cacheKey, account, await load());
+}
+
+/**
+ * Get all fungible resources for an account
+ * @param {string} accountAddress 
+ * @returns {Promise<{fungibles: Array, stateVersion: number|null}>} - Fungible resource objects with divisibility,
+ *   and the ledger state version they were read at
+ */
+export async function getAccountFungibles(accountAddress) {
+  return cachedView(`fungibles:${accountAddress}`, accountAddress, () => loadAccountFungibles(accountAddress));
+}
+
+/**
+ * @param {string} accountAddress
+ * @returns {Promise<{fungibles: Array, stateVersion: number|null}>}
+ */
+async function loadAccountFungibles(accountAddress) {
+  const items = [];
+  
+  const stateVersion = await fetchAllPages('/state/entity/page/fungibles/', {
+    address: accountAddress,
+    aggregation_level: 'Global'
+  }, data => {
     for (const item of data.items) {
       items.push({
         resourceAddress: item.resource_address,
         amount: item.amount
       });
     }
-    
-    cursor = data.next_cursor;
-  } while (cursor);
+  });
   
   const addresses = items.map(item => item.resourceAddress);
   const metadata = await getResourceMetadata(addresses);
   
-  const result = items.map(item => ({
-    ...item,
-    ...metadata[item.resourceAddress]
-  }));
-  
-  sessionCache.set(cacheKey, result, CONFIG.cacheTtl.accountResources);
-  
-  return result;
+  return {
+    fungibles: items.map(item => ({
+      ...item,
+      ...metadata[item.resourceAddress]
+    })),
+    stateVersion
+  };
 }
 
 /**
  * Get all non-fungible resources for an account
+ * Each collection carries the stateVersion it was read at, so later pages of
+ * its NFT IDs (getMoreNftIds) come from the same ledger state
  * @param {string} accountAddress 
- * @returns {Promise<Array>} - Array of NFT collection objects with IDs
+ * @returns {Promise<{collections: Array, stateVersion: number|null}>} - NFT collection objects with IDs,
+ *   and the ledger state version they were read at
  */
 export async function getAccountNonFungibles(accountAddress) {
-  const cacheKey = `nfts:${accountAddress}`;
-  const cached = sessionCache.get(cacheKey);
-  if (cached) return cached;
-  
+  return cachedView(`nfts:${accountAddress}`, accountAddress, () => loadAccountNonFungibles(accountAddress));
+}
+
+/**
+ * @param {string} accountAddress
+ * @returns {Promise<{collections: Array, stateVersion: number|null}>}
+ */
+async function loadAccountNonFungibles(accountAddress) {
   const collections = [];
-  let cursor = null;
   
-  do {
-    const requestBody = {
-      address: accountAddress,
-      aggregation_level: 'Vault',
-      opt_ins: {
-        non_fungible_include_nfids: true
-      }
-    };
-    
-    if (cursor) {
-      requestBody.cursor = cursor;
+  const stateVersion = await fetchAllPages('/state/entity/page/non-fungibles/', {
+    address: accountAddress,
+    aggregation_level: 'Vault',
+    opt_ins: {
+      non_fungible_include_nfids: true
     }
-    
-    const data = await gatewayFetch('/state/entity/page/non-fungibles/', requestBody);
-    
+  }, data => {
     for (const item of data.items) {
       for (const vault of (item.vaults?.items || [])) {
         collections.push({
@@ -227,21 +708,23 @@ export async function getAccountNonFungibles(accountAddress) {
         });
       }
     }
-    
-    cursor = data.next_cursor;
-  } while (cursor);
+  });
   
   const uniqueAddresses = [...new Set(collections.map(c => c.resourceAddress))];
-  const metadata = await getResourceMetadata(uniqueAddresses);
-  
-  const result = collections.map(collection => ({
-    ...collection,
-    ...metadata[collection.resourceAddress]
-  }));
-  
-  sessionCache.set(cacheKey, result, CONFIG.cacheTtl.accountResources);
+  const [metadata, keySafety] = await Promise.all([
+    getResourceMetadata(uniqueAddresses),
+    getKeySafety(uniqueAddresses)
+  ]);
   
-  return result;
+  return {
+    collections: collections.map(collection => ({
+      ...collection,
+      ...metadata[collection.resourceAddress],
+      keySafety: keySafety[collection.resourceAddress] || 'transferable',
+      stateVersion
+    })),
+    stateVersion
+  };
 }
 
 /**
@@ -250,15 +733,22 @@ export async function getAccountNonFungibles(accountAddress) {
  * @param {string} vaultAddress 
  * @param {string} resourceAddress 
  * @param {string} cursor 
+ * @param {number|null} [stateVersion] - Ledger state the first page was read at
  * @returns {Promise<{ids: string[], nextCursor: string|null}>}
  */
-export async function getMoreNftIds(accountAddress, vaultAddress, resourceAddress, cursor) {
-  const data = await gatewayFetch('/state/entity/page/non-fungible-vault/ids', {
+export async function getMoreNftIds(accountAddress, vaultAddress, resourceAddress, cursor, stateVersion = null) {
+  const requestBody = {
     address: accountAddress,
     vault_address: vaultAddress,
     resource_address: resourceAddress,
     cursor
-  });
+  };
+
+  if (stateVersion !== null) {
+    requestBody.at_ledger_state = { state_version: stateVersion };
+  }
+
+  const data = await gatewayFetch('/state/entity/page/non-fungible-vault/ids', requestBody);
   
   return {
     ids: data.items || [],
@@ -266,6 +756,67 @@ export async function getMoreNftIds(accountAddress, vaultAddress, resourceAddres
   };
 }
 
+/**
+ * Pull display fields out of NFT data programmatic_json
+ * @param {object} programmaticJson - Tuple of named fields
+ * @returns {{name: string|null, imageUrl: string|null, description: string|null}}
+ */
+function extractNftFields(programmaticJson) {
+  const fields = {};
+
+  for (const field of (programmaticJson?.fields || [])) {
+    if (field.field_name && typeof field.value === 'string') {
+      fields[field.field_name] = field.value;
+    }
+  }
+
+  return {
+    name: fields.name || null,
+    imageUrl: fields.key_image_url || fields.image_url || null,
+    description: fields.description || null
+  };
+}
+
+/**
+ * Fetch per-NFT data (name, image, description) with caching
+ * @param {string} resourceAddress - NFT collection address
+ * @param {string[]} nftIds - NFT local IDs in manifest format (e.g. "#1#")
+ * @returns {Promise<object>} - Map of id -> {name, imageUrl, description}
+ */
+export async function getNonFungibleData(resourceAddress, nftIds) {
+  const results = {};
+  const toFetch = [];
+
+  for (const id of nftIds) {
+    const cached = cache.get(`nft:${resourceAddress}:${id}`);
+    if (cached) {
+      results[id] = cached;
+    } else {
+      toFetch.push(id);
+    }
+  }
+
+  for (const chunk of chunkArray(toFetch, CONFIG.nftDataPageSize)) {
+    const data = await gatewayFetch('/state/non-fungible/data', {
+      resource_address: resourceAddress,
+      non_fungible_ids: chunk
+    });
+
+    for (const item of (data.non_fungible_ids || [])) {
+      const nftData = extractNftFields(item.data?.programmatic_json);
+      results[item.non_fungible_id] = nftData;
+
+      cache.set(
+        `nft:${resourceAddress}:${item.non_fungible_id}`,
+        nftData,
+        CONFIG.cacheTtl.nftData
+      );
+    }
+  }
+
+  return results;
+}
+
 /**
  * Preview a transaction to query cave balances
  * Fetches current epoch and sets appropriate epoch window
@@ -293,6 +844,79 @@ export async function previewTransaction(manifest) {
   return data;
 }
 
+/**
+ * Poll the Gateway until a submitted transaction is committed (or fails)
+ * Fetches committed details with receipt events and balance changes on success.
+ * A rejection only ends the wait once intent_status says it is permanent;
+ * a temporary or likely rejection can still be committed later
+ * @param {string} intentHash - Transaction intent hash from the wallet
+ * @param {function(string): void} [onStatus] - Called with each new intent status while polling
+ * @returns {Promise<{status: string, stateVersion: number|null, receipt: object|null, balanceChanges: object|null, errorMessage: string|null}>}
+ */
+export async function waitForTransactionCommit(intentHash, onStatus) {
+  const { intervalMs, timeoutMs } = CONFIG.transactionPolling;
+  const deadline = Date.now() + timeoutMs;
+  let lastStatus = null;
+
+  while (Date.now() < deadline) {
+    let data;
+
+    try {
+      data = await gatewayFetch('/transaction/status', { intent_hash: intentHash });
+    } catch {
+      // Gateway may not know the intent yet or had a blip - keep polling
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+      continue;
+    }
+
+    const intentStatus = data.intent_status || data.status;
+    if (intentStatus !== lastStatus) {
+      lastStatus = intentStatus;
+      if (onStatus) onStatus(intentStatus);
+    }
+
+    if (data.status === 'CommittedSuccess' || data.status === 'CommittedFailure') {
+      const details = await gatewayFetch('/transaction/committed-details', {
+        intent_hash: intentHash,
+        opt_ins: {
+          receipt_events: true,
+          balance_changes: true
+        }
+      });
+
+      const tx = details.transaction || {};
+
+      return {
+        status: data.status,
+        stateVersion: tx.state_version ?? null,
+        receipt: tx.receipt || null,
+        balanceChanges: tx.balance_changes || null,
+        errorMessage: data.error_message || tx.receipt?.error_message || null
+      };
+    }
+
+    if (data.status === 'Rejected' && data.intent_status === 'PermanentlyRejected') {
+      return {
+        status: data.status,
+        stateVersion: null,
+        receipt: null,
+        balanceChanges: null,
+        errorMessage: data.error_message || 'Transaction rejected'
+      };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return {
+    status: 'Unknown',
+    stateVersion: null,
+    receipt: null,
+    balanceChanges: null,
+    errorMessage: 'Timed out waiting for commit'
+  };
+}
+
 /**
  * Parse balance values from transaction preview receipt
  * @param {object} receipt - Transaction receipt
@@ -340,63 +964,258 @@ export function parseBalancesFromReceipt(receipt, resourceAddresses) {
 /**
  * Get all unique resource addresses stored in the cave's KVS
  * The KVS keys are ResourceAddress values directly
- * Uses session cache to avoid repeated API calls
- * @returns {Promise<string[]>} - Array of unique resource addresses in cave
+ * Served from session cache / IndexedDB when possible (see cachedView)
+ * @returns {Promise<{tokens: string[], stateVersion: number|null}>} - Unique resource addresses in cave,
+ *   and the ledger state version they were read at
  */
 export async function getAllCaveTokens() {
-  const cacheKey = 'cave_tokens';
-
-  // Check session cache first
-  const cached = sessionCache.get(cacheKey);
-  if (cached) {
-    console.log('Using cached cave tokens:', cached);
-    return cached;
+  try {
+    return await cachedView('cave_tokens', null, loadCaveTokens);
+  } catch (e) {
+    console.error('Failed to fetch cave tokens from KVS:', e);
+    return { tokens: [], stateVersion: null };
   }
+}
 
+/**
+ * @returns {Promise<{tokens: string[], stateVersion: number|null}>}
+ */
+async function loadCaveTokens() {
   const resourceAddresses = new Set();
-  let cursor = null;
 
-  try {
-    do {
-      const requestBody = {
-        key_value_store_address: CONFIG.caveKvsAddress,
-        limit_per_page: 100
-      };
+  const stateVersion = await fetchAllPages('/state/key-value-store/keys', {
+    key_value_store_address: CONFIG.caveKvsAddress,
+    limit_per_page: 100
+  }, data => {
+    // Parse each key to extract resource addresses
+    for (const item of data.items || []) {
+      try {
+        // The key is directly a ResourceAddress
+        const keyData = item.key?.programmatic_json;
 
-      if (cursor) {
-        requestBody.cursor = cursor;
+        if (keyData && keyData.kind === 'Reference' && keyData.type_name === 'ResourceAddress') {
+          if (keyData.value) {
+            resourceAddresses.add(keyData.value);
+          }
+        }
+      } catch (e) {
+        console.warn('Failed to parse KVS key:', e);
       }
+    }
+  });
 
-      const data = await gatewayFetch('/state/key-value-store/keys', requestBody);
+  const result = {
+    tokens: Array.from(resourceAddresses),
+    stateVersion
+  };
+  console.log('Found tokens in cave:', result.tokens);
 
-      // Parse each key to extract resource addresses
-      for (const item of data.items || []) {
-        try {
-          // The key is directly a ResourceAddress
-          const keyData = item.key?.programmatic_json;
+  return result;
+}
 
-          if (keyData && keyData.kind === 'Reference' && keyData.type_name === 'ResourceAddress') {
-            if (keyData.value) {
-              resourceAddresses.add(keyData.value);
-            }
-          }
-        } catch (e) {
-          console.warn('Failed to parse KVS key:', e);
+/**
+ * Read every entry of a key-value store at one ledger state
+ * Keys are listed with /state/key-value-store/keys, then their values are
+ * fetched with /state/key-value-store/data in chunks
+ * @param {string} storeAddress
+ * @param {number} stateVersion
+ * @returns {Promise<Array<{key: object, value: object}>>} - programmatic_json of each key and value
+ */
+async function fetchKvsEntries(storeAddress, stateVersion) {
+  const keys = [];
+
+  await fetchAllPages('/state/key-value-store/keys', {
+    key_value_store_address: storeAddress,
+    limit_per_page: 100
+  }, data => {
+    for (const item of data.items || []) {
+      if (item.key?.raw_hex) {
+        keys.push({ key_hex: item.key.raw_hex });
+      }
+    }
+  }, stateVersion);
+
+  const entries = [];
+
+  for (const chunk of chunkArray(keys, CONFIG.caveStats.dataPageSize)) {
+    const data = await gatewayFetch('/state/key-value-store/data', {
+      key_value_store_address: storeAddress,
+      keys: chunk,
+      at_ledger_state: { state_version: stateVersion }
+    });
+
+    for (const entry of data.entries || []) {
+      entries.push({
+        key: entry.key?.programmatic_json,
+        value: entry.value?.programmatic_json
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * @param {object} node - programmatic_json node
+ * @returns {string|null} - First ResourceAddress found in the node
+ */
+function findResourceAddress(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  if (node.kind === 'Reference' && node.type_name === 'ResourceAddress') {
+    return node.value || null;
+  }
+
+  for (const child of (node.fields || node.elements || [])) {
+    const found = findResourceAddress(child);
+    if (found !== null) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Every balance in the cave KVS, one per (NFT key, resource)
+ * Handles both layouts: a Decimal per (key, resource) entry, or one entry per
+ * resource that owns an inner store of balances per key
+ * @param {number} stateVersion
+ * @returns {Promise<Array<{resourceAddress: string, amount: string}>>}
+ */
+async function loadCaveBalances(stateVersion) {
+  const balances = [];
+
+  for (const { key, value } of await fetchKvsEntries(CONFIG.caveKvsAddress, stateVersion)) {
+    const resourceAddress = findResourceAddress(key);
+    if (!resourceAddress) continue;
+
+    if (value?.kind === 'Decimal') {
+      balances.push({ resourceAddress, amount: value.value });
+    } else if (value?.kind === 'Own' && value.value?.startsWith('internal_keyvaluestore')) {
+      for (const inner of await fetchKvsEntries(value.value, stateVersion)) {
+        if (inner.value?.kind === 'Decimal') {
+          balances.push({ resourceAddress, amount: inner.value.value });
         }
       }
+    }
+  }
+
+  return balances;
+}
+
+/**
+ * CAVE STATS: value locked, entry count and balance distribution per resource
+ * Everything is read at one ledger state version. The scan walks the whole
+ * KVS and the ledger moves every few seconds, so the last result is kept in
+ * the session cache (one entry, replaced by the next scan) and reused for
+ * CONFIG.cacheTtl.caveStats unless a refresh or another version is asked for
+ * @param {number|null} [stateVersion] - Ledger state to read (defaults to the current one)
+ * @param {{refresh?: boolean}} [options] - refresh: scan again even if the last result is fresh
+ * @returns {Promise<{stateVersion: number, resources: Array<{resourceAddress: string, total: string, entries: number, buckets: number[]}>, bucketEdges: string[]}>}
+ */
+export async function getCaveStats(stateVersion = null, { refresh = false } = {}) {
+  const cacheKey = 'cave_stats';
+  const cached = sessionCache.get(cacheKey);
+  if (cached && !refresh && (stateVersion === null || cached.stateVersion === stateVersion)) {
+    return cached;
+  }
 
-      cursor = data.next_cursor;
-    } while (cursor);
+  if (stateVersion === null) {
+    stateVersion = (await getNetworkStatus()).stateVersion;
+  }
 
-    const result = Array.from(resourceAddresses);
-    console.log('Found tokens in cave:', result);
+  const bucketEdges = CONFIG.caveStats.bucketEdges;
+  const stats = {
+    stateVersion,
+    resources: aggregateCaveStats(await loadCaveBalances(stateVersion), bucketEdges),
+    bucketEdges
+  };
 
-    // Cache for the session (invalidated after IN CAVE transactions)
-    sessionCache.set(cacheKey, result, CONFIG.cacheTtl.accountResources);
+  sessionCache.set(cacheKey, stats, CONFIG.cacheTtl.caveStats);
 
-    return result;
+  return stats;
+}
+
+/**
+ * Recent cave moves: the component's fungible balance change in each of the
+ * latest user transactions that touched it
+ * @returns {Promise<{movements: Array<{resourceAddress: string, amount: string}>, stateVersion: number|null}>}
+ *   - amount is positive for IN CAVE, negative for OUT CAVE
+ */
+export async function getRecentCaveActivity() {
+  const cacheKey = 'cave_activity';
+  const cached = sessionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await gatewayFetch('/stream/transactions', {
+    affected_global_entities_filter: [CONFIG.componentAddress],
+    kind_filter: 'User',
+    order: 'Desc',
+    limit_per_page: CONFIG.anonymity.recentTransactions,
+    opt_ins: { balance_changes: true }
+  });
+
+  const movements = [];
+
+  for (const transaction of data.items || []) {
+    for (const change of transaction.balance_changes?.fungible_balance_changes || []) {
+      if (change.entity_address !== CONFIG.componentAddress) continue;
+
+      movements.push({
+        resourceAddress: change.resource_address,
+        amount: change.balance_change
+      });
+    }
+  }
+
+  const activity = {
+    movements,
+    stateVersion: data.ledger_state?.state_version ?? null
+  };
+  sessionCache.set(cacheKey, activity, CONFIG.cacheTtl.caveActivity);
+
+  return activity;
+}
+
+/**
+ * Read a top-level Decimal field of the component state by its exact name
+ * @param {object} state - programmatic_json of the component state
+ * @param {string} fieldName
+ * @returns {string|null} - null if the field is missing or not a Decimal
+ */
+function findDecimalStateField(state, fieldName) {
+  const field = (state?.fields || []).find(f => f.field_name === fieldName);
+  return field?.kind === 'Decimal' ? field.value : null;
+}
+
+/**
+ * Get the current OUT CAVE fee rate from the component state
+ * Read from CONFIG.withdrawalFee.stateField only - a near miss (max_fee,
+ * fee_cap...) would show a wrong net amount. If that field can't be read
+ * the configured default is returned, marked as not confirmed
+ * @returns {Promise<{rate: string, confirmed: boolean}>} - rate as a fraction (e.g. "0.001")
+ */
+export async function getWithdrawalFeeRate() {
+  const cacheKey = 'cave_fee';
+  const cached = sessionCache.get(cacheKey);
+  if (cached) return cached;
+
+  const { stateField, defaultRate, maxRate } = CONFIG.withdrawalFee;
+
+  try {
+    const item = await entityDetailsLoader.loadOne(CONFIG.componentAddress);
+    const stateRate = findDecimalStateField(item?.details?.state, stateField);
+
+    if (stateRate !== null && isDecimal(stateRate) && compareDecimal(stateRate, '0') >= 0) {
+      // Never show more than the component's hard cap
+      const fee = { rate: compareDecimal(stateRate, maxRate) > 0 ? maxRate : stateRate, confirmed: true };
+      sessionCache.set(cacheKey, fee, CONFIG.cacheTtl.accountResources);
+      return fee;
+    }
+
+    console.warn(`Fee field "${stateField}" not found in component state, using default:`, defaultRate);
   } catch (e) {
-    console.error('Failed to fetch cave tokens from KVS:', e);
-    return [];
+    console.warn('Failed to fetch fee rate, using default:', e);
   }
-}
\ No newline at end of file
+
+  return { rate: defaultRate, confirmed: false };
+}
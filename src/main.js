@@ -1,36 +1,81 @@
 import { 
   RadixDappToolkit, 
-  RadixNetwork, 
   DataRequestBuilder 
 } from '@radixdlt/radix-dapp-toolkit';
 
-import { CONFIG } from './config.js';
-import { sessionCache } from './cache.js';
+import { CONFIG, validateConfig } from './config.js';
+import { cache, persistentCache, sessionCache } from './cache.js';
 import {
   getAccountFungibles,
   getAccountNonFungibles,
   getResourceMetadata,
   previewTransaction,
   parseBalancesFromReceipt,
-  getAllCaveTokens
+  getAllCaveTokens,
+  getCaveStats,
+  getRecentCaveActivity,
+  getWithdrawalFeeRate,
+  getMoreNftIds,
+  getNonFungibleData,
+  waitForTransactionCommit,
+  gatewayEvents,
+  METADATA_UPDATED,
+  ACCOUNT_VIEW_UPDATED
 } from './gateway.js';
 import { 
   buildInCaveManifest, 
   buildOutCaveManifest,
+  buildBatchOutCaveManifest,
+  buildRekeyManifest,
   buildLookCaveManifest 
 } from './manifests.js';
-import { ModalUI, setStatus, hideStatus } from './ui.js';
+import { addDecimal } from './decimal.js';
+import { findPrivacyWarnings } from './anonymity.js';
+import { splitPlanner } from './splitPlanner.js';
+import { keyRegistry } from './registry.js';
+import { tabSync } from './tabSync.js';
+import { calculateWithdrawalFee, chunkArray, shortenAddress } from './utils.js';
+import { ModalUI, PlanUI, StatsUI, setStatus, setTransactionStatus, hideStatus } from './ui.js';
+
+// Wallet message per transaction mode
+const TRANSACTION_MESSAGES = {
+  in: 'PUT IN CAVE',
+  out: 'TAKE FROM CAVE',
+  rekey: 'MOVE TO NEW KEY'
+};
+
+// Status once the ledger commits
+const COMMITTED_MESSAGES = {
+  in: 'STUFF IN CAVE!',
+  out: 'STUFF OUT CAVE!',
+  rekey: 'STUFF UNDER NEW KEY!'
+};
+
+// Status while the ledger has not decided yet, by Gateway intent_status
+const PENDING_MESSAGES = {
+  Pending: 'CAVE WAIT FOR ROCK LEDGER...',
+  CommitPendingOutcomeUnknown: 'ROCK LEDGER ALMOST DONE. CAVE WAIT...',
+  PendingOrTemporarilyRejected: 'ROCK LEDGER NO TAKE IT YET. CAVE WAIT...',
+  LikelyButNotCertainRejection: 'ROCK LEDGER MAYBE SAY NO. CAVE STILL WAIT...'
+};
 
 // Global state
 let rdt = null;
 let currentAccount = null;
 let allAccounts = [];
 let modalUI = null;
+let statsUI = null;
+let planUI = null;
+// Intent hashes of plan chunks this tab is already following
+const followedIntents = new Set();
+// Bumped by every panic; work started before it must not touch the screen again
+let panicGeneration = 0;
 
 // DOM elements
 let btnInCave = null;
 let btnLookCave = null;
 let btnOutCave = null;
+let btnRekeyCave = null;
 let accountSelector = null;
 let accountSelectorBtn = null;
 let currentAccountText = null;
@@ -44,14 +89,23 @@ async function init() {
   btnInCave = document.getElementById('btn-in-cave');
   btnLookCave = document.getElementById('btn-look-cave');
   btnOutCave = document.getElementById('btn-out-cave');
+  btnRekeyCave = document.getElementById('btn-rekey-cave');
   accountSelector = document.getElementById('account-selector');
   accountSelectorBtn = document.getElementById('account-selector-btn');
   currentAccountText = document.getElementById('current-account-text');
   accountDropdown = document.getElementById('account-dropdown');
 
+  // Refuse to start on a mismatched deployment - manifests would be broken
+  const configErrors = validateConfig();
+  if (configErrors.length > 0) {
+    console.error('Invalid network config:', configErrors);
+    setStatus(`CAVE BROKEN! ${configErrors.join('; ')}`, 'error', false);
+    return;
+  }
+
   // Initialize Radix dApp Toolkit
   rdt = RadixDappToolkit({
-    networkId: RadixNetwork.Stokenet,
+    networkId: CONFIG.networkId,
     applicationName: 'Hypercave',
     applicationVersion: '1.0.0',
     applicationDappDefinitionAddress: CONFIG.dAppDefinitionAddress
@@ -91,11 +145,28 @@ async function init() {
   modalUI = new ModalUI();
   modalUI.onSubmit = handleTransaction;
   modalUI.onLookup = handleLookup;
+  modalUI.onLoadMoreNfts = loadMoreNftIds;
+  modalUI.onLoadNftData = getNonFungibleData;
+  modalUI.getRememberedResources = (nft) => keyRegistry.getResources(nft);
+  modalUI.onPlanSplit = planSplit;
+  modalUI.canSavePlans = () => keyRegistry.isUnlocked();
+
+  statsUI = new StatsUI();
+  statsUI.onRefresh = () => loadCaveStats({ refresh: true });
+
+  // Stale metadata was served from cache - re-render once the refresh lands
+  gatewayEvents.addEventListener(METADATA_UPDATED, (e) => {
+    modalUI.applyResourceMetadata(e.detail.metadata);
+    statsUI.applyResourceMetadata(e.detail.metadata);
+  });
+  gatewayEvents.addEventListener(ACCOUNT_VIEW_UPDATED, (e) => onAccountViewUpdated(e.detail));
 
   // Bind button click events
   btnInCave.addEventListener('click', () => openModal('in'));
   btnLookCave.addEventListener('click', () => openModal('look'));
   btnOutCave.addEventListener('click', () => openModal('out'));
+  btnRekeyCave.addEventListener('click', () => openModal('rekey'));
+  document.getElementById('btn-cave-stats').addEventListener('click', () => openCaveStats());
 
   // Bind account selector events
   accountSelectorBtn.addEventListener('click', () => toggleAccountDropdown());
@@ -105,9 +176,379 @@ async function init() {
     if (!accountSelector.contains(e.target)) {
       accountDropdown.classList.add('hidden');
     }
+    if (!e.target.closest('#registry')) {
+      document.getElementById('registry-panel').classList.add('hidden');
+    }
   });
 
-  console.log('Hypercave initialized');
+  initRegistry();
+  initPanicGesture();
+  initTabSync();
+  initSplitPlanner();
+
+  console.log(`Hypercave initialized on ${CONFIG.network}`);
+}
+
+/**
+ * Load saved CAVE TRIPS, start the due-chunk timer and resume following
+ * chunks that were submitted before a reload
+ */
+function initSplitPlanner() {
+  planUI = new PlanUI();
+  planUI.onSign = signPlannedChunk;
+  planUI.onCancel = (planId) => {
+    splitPlanner.cancel(planId).catch(error => {
+      console.error('Failed to cancel plan:', error);
+      setStatus(`ME NO FORGET TRIPS: ${error.message}`, 'error');
+    });
+  };
+
+  splitPlanner.onChange = (plans) => planUI.render(plans);
+  splitPlanner.onDue = onPlannedChunkDue;
+  splitPlanner.onSaved = () => tabSync.announcePlansChanged();
+  planUI.render(splitPlanner.plans);
+  splitPlanner.init().then(resumePlannedChunks);
+}
+
+/**
+ * Follow submitted chunks this tab isn't following yet (after a reload, or
+ * once an unlocked registry reveals the sealed plans)
+ */
+function resumePlannedChunks() {
+  for (const plan of splitPlanner.plans) {
+    plan.chunks.forEach((chunk, index) => {
+      if (chunk.status === 'submitted' && chunk.intentHash && !followedIntents.has(chunk.intentHash)) {
+        followPlannedChunk(plan, index, chunk.intentHash);
+      }
+    });
+  }
+}
+
+/**
+ * Split the modal's OUT CAVE into a CAVE TRIPS plan
+ * @param {{nft: object, resource: object, destination: string|null, count: number, spreadMs: number}} data
+ */
+async function planSplit({ nft, resource, destination, count, spreadMs }) {
+  if (!currentAccount) return;
+
+  // Ask while we still have the click - browsers ignore permission prompts without one
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => {});
+  }
+
+  try {
+    await splitPlanner.create({
+      accountAddress: currentAccount.address,
+      destinationAddress: destination || currentAccount.address,
+      nft,
+      resource,
+      amount: resource.amount,
+      count,
+      spreadMs
+    });
+  } catch (error) {
+    setStatus(`ME NO PLAN! ${error.message}`, 'error');
+    return;
+  }
+
+  modalUI.hide();
+  setStatus(`ME PLAN ${count} TRIPS. ME TELL YOU WHEN EACH TRIP DUE.`, 'success');
+}
+
+/**
+ * A chunk became due: show it and remind the user
+ * The system notification stays vague - it can show up on a locked screen
+ * @param {object} plan
+ * @param {number} index
+ */
+function onPlannedChunkDue(plan, index) {
+  planUI.render(splitPlanner.plans);
+  setStatus('CAVE TRIP DUE! PRESS TAKE NOW IN CAVE TRIPS.', 'info', false);
+
+  if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    try {
+      new Notification('HYPERCAVE', { body: 'CAVE TRIP DUE. COME BACK TO SIGN.', tag: `${plan.id}:${index}` });
+    } catch (e) {
+      // Some browsers only allow notifications from a service worker
+      console.warn('Notification failed:', e);
+    }
+  }
+}
+
+/**
+ * Send one due chunk to the wallet as its own OUT CAVE
+ * @param {string} planId
+ * @param {number} index
+ */
+async function signPlannedChunk(planId, index) {
+  const plan = splitPlanner.get(planId);
+  const chunk = plan?.chunks[index];
+  if (!chunk || chunk.status !== 'pending' || planUI.isSigning(planId, index)) return;
+
+  if (!currentAccount || currentAccount.address !== plan.accountAddress) {
+    setStatus(`PICK ACCOUNT ${shortenAddress(plan.accountAddress)} FIRST - IT HAS THE KEY.`, 'error');
+    return;
+  }
+
+  // Hide TAKE NOW until the chunk is saved as submitted (or the wallet says no)
+  planUI.setSigning(planId, index, true);
+  const generation = panicGeneration;
+
+  try {
+    const manifest = buildOutCaveManifest(
+      plan.accountAddress,
+      plan.nft.collection,
+      plan.nft.id,
+      [{ resourceAddress: plan.resource.resourceAddress, amount: chunk.amount }],
+      plan.destinationAddress
+    );
+
+    console.log('Submitting transaction:', manifest);
+
+    const result = await rdt.walletApi.sendTransaction({
+      transactionManifest: manifest,
+      message: TRANSACTION_MESSAGES.out
+    });
+
+    if (result.isErr()) {
+      throw new Error(result.error.message || 'ME NO DO! YOU SAY NO!');
+    }
+
+    const intentHash = result.value.transactionIntentHash;
+    if (panickedSince(generation)) return;
+    // Follow it even if the plan can't be saved (key book locked meanwhile)
+    await updatePlannedChunk(planId, index, { status: 'submitted', intentHash });
+    followPlannedChunk(plan, index, intentHash);
+  } catch (error) {
+    if (panickedSince(generation)) return;
+    console.error('Transaction failed:', error);
+    setStatus(`ME NO DO! ${error.message}`, 'error');
+  } finally {
+    planUI.setSigning(planId, index, false);
+  }
+}
+
+/**
+ * Track a submitted chunk; it is done on commit and can be signed again if it failed
+ * @param {object} plan
+ * @param {number} index
+ * @param {string} intentHash
+ */
+async function followPlannedChunk(plan, index, intentHash) {
+  const chunk = plan.chunks[index];
+  const generation = panicGeneration;
+  followedIntents.add(intentHash);
+
+  const status = await trackTransaction(
+    intentHash,
+    'out',
+    [{ nft: plan.nft, resources: [{ ...plan.resource, amount: chunk.amount }] }],
+    plan.accountAddress,
+    plan.destinationAddress
+  );
+  if (panickedSince(generation)) return;
+
+  if (status === 'CommittedSuccess') {
+    updatePlannedChunk(plan.id, index, { status: 'done' });
+  } else if (status !== null && status !== 'Unknown') {
+    updatePlannedChunk(plan.id, index, { status: 'pending', intentHash: null });
+  }
+}
+
+/**
+ * @param {number} generation - panicGeneration when the work started
+ * @returns {boolean} - Whether a panic wiped the app since
+ */
+function panickedSince(generation) {
+  return generation !== panicGeneration;
+}
+
+/**
+ * Save a chunk's new status
+ * Fails only if the key book was locked meanwhile; the transaction is still
+ * followed, only the plan's bookkeeping is lost
+ * @param {string} planId
+ * @param {number} index
+ * @param {object} changes
+ * @returns {Promise<void>} - Never rejects
+ */
+function updatePlannedChunk(planId, index, changes) {
+  return splitPlanner.updateChunk(planId, index, changes).catch(error => {
+    console.warn('Failed to update plan:', error);
+  });
+}
+
+/**
+ * Bind the key registry panel (opt-in, encrypted local memory of key -> resources)
+ */
+function initRegistry() {
+  const panel = document.getElementById('registry-panel');
+  const passphraseInput = document.getElementById('registry-passphrase');
+
+  document.getElementById('registry-btn').addEventListener('click', () => {
+    panel.classList.toggle('hidden');
+    updateRegistryStatus();
+  });
+
+  document.getElementById('registry-unlock').addEventListener('click', async () => {
+    try {
+      await keyRegistry.unlock(passphraseInput.value);
+      setStatus('KEY BOOK OPEN. CAVE REMEMBER KEYS.', 'success');
+      // Seal trips planned while locked and show the sealed ones
+      splitPlanner.load().then(resumePlannedChunks);
+    } catch (error) {
+      console.error('Key registry unlock failed:', error);
+      setStatus(`KEY BOOK NO OPEN: ${error.message}`, 'error');
+    } finally {
+      passphraseInput.value = '';
+      updateRegistryStatus();
+    }
+  });
+
+  document.getElementById('registry-lock').addEventListener('click', () => {
+    keyRegistry.lock();
+    splitPlanner.load();
+    updateRegistryStatus();
+  });
+
+  document.getElementById('registry-wipe').addEventListener('click', async () => {
+    try {
+      await keyRegistry.wipe();
+      // Sealed trips went with it
+      splitPlanner.load();
+      setStatus('KEY BOOK BURNED.', 'info');
+    } catch (error) {
+      console.error('Key registry wipe failed:', error);
+      setStatus(`KEY BOOK NO BURN: ${error.message}`, 'error');
+    } finally {
+      updateRegistryStatus();
+    }
+  });
+
+  updateRegistryStatus();
+}
+
+/**
+ * Refresh registry panel text and buttons
+ */
+async function updateRegistryStatus() {
+  const exists = await keyRegistry.exists();
+  const unlocked = keyRegistry.isUnlocked();
+
+  let text = 'KEY BOOK OFF. PICK SECRET WORD TO START.';
+  if (unlocked) {
+    text = 'KEY BOOK OPEN';
+  } else if (exists) {
+    text = 'KEY BOOK LOCKED';
+  }
+
+  document.getElementById('registry-status').textContent = text;
+  document.getElementById('registry-passphrase').classList.toggle('hidden', unlocked);
+  document.getElementById('registry-unlock').disabled = unlocked;
+  document.getElementById('registry-lock').disabled = !unlocked;
+  document.getElementById('registry-wipe').disabled = !exists && !unlocked;
+}
+
+/**
+ * Keep this tab's session cache and open modal in step with other tabs
+ */
+function initTabSync() {
+  // persistentCache is shared between tabs, so only the session copy needs dropping
+  tabSync.onInvalidate = (keys) => {
+    keys.forEach(key => sessionCache.remove(key));
+  };
+  tabSync.onCommitted = (transaction) => {
+    onRemoteTransactionCommitted(transaction).catch(error => {
+      console.error('Failed to apply transaction from another tab:', error);
+    });
+  };
+  // Sealed plans changed in another tab (no-op here while locked)
+  tabSync.onPlansChanged = () => {
+    splitPlanner.load();
+  };
+  tabSync.onPanic = () => {
+    triggerPanic({ broadcast: false });
+  };
+  tabSync.init();
+}
+
+/**
+ * Watch for the duress gesture: the CONFIG.panic.chord key combination, or
+ * the logo held down for CONFIG.panic.holdMs (touch screens have no keyboard).
+ * Neither overlaps Escape, which closes the modal and panels
+ */
+function initPanicGesture() {
+  const { chord, holdMs } = CONFIG.panic;
+  const logo = document.querySelector('.logo');
+  let holdTimer = null;
+
+  document.addEventListener('keydown', (e) => {
+    if (e.repeat || e.code !== chord.code) return;
+    if (e.ctrlKey !== chord.ctrlKey || e.altKey !== chord.altKey || e.shiftKey !== chord.shiftKey) return;
+
+    e.preventDefault();
+    triggerPanic();
+  });
+
+  const cancelHold = () => {
+    clearTimeout(holdTimer);
+    holdTimer = null;
+  };
+
+  logo.addEventListener('pointerdown', () => {
+    cancelHold();
+    holdTimer = setTimeout(() => {
+      holdTimer = null;
+      triggerPanic();
+    }, holdMs);
+  });
+  logo.addEventListener('pointerup', cancelHold);
+  logo.addEventListener('pointerleave', cancelHold);
+  logo.addEventListener('pointercancel', cancelHold);
+  // Long press would otherwise open the context menu on touch screens
+  logo.addEventListener('contextmenu', (e) => e.preventDefault());
+}
+
+/**
+ * Wipe every local cave trace and leave the app looking unused:
+ * caches, key registry, modal state, status bar, console, wallet connection.
+ * Other tabs hold decrypted registry entries and plans in memory and would
+ * write them back, so they are told to wipe too
+ * @param {{broadcast?: boolean}} [options] - broadcast: false when another tab asked
+ */
+async function triggerPanic({ broadcast = true } = {}) {
+  panicGeneration += 1;
+  if (broadcast) tabSync.announcePanic();
+
+  modalUI.reset();
+  modalUI.hide();
+  statsUI.reset();
+  statsUI.hide();
+  sessionCache.clear();
+  cache.clearAll();
+  hideStatus();
+
+  document.getElementById('registry-panel').classList.add('hidden');
+  document.getElementById('registry-passphrase').value = '';
+  accountDropdown.classList.add('hidden');
+
+  // Disconnecting empties walletData$, which resets the account UI
+  try {
+    rdt.disconnect();
+  } catch {
+    onAccountDisconnected();
+  }
+
+  try {
+    await keyRegistry.wipe();
+  } catch {
+    // Registry may never have existed
+  }
+  await persistentCache.clear();
+  splitPlanner.clear();
+
+  updateRegistryStatus();
+  console.clear();
 }
 
 /**
@@ -207,6 +648,7 @@ function onAccountConnected() {
   btnInCave.disabled = false;
   btnLookCave.disabled = false;
   btnOutCave.disabled = false;
+  btnRekeyCave.disabled = false;
 
 
   // Clear any stale session cache
@@ -221,6 +663,7 @@ function onAccountDisconnected() {
   btnInCave.disabled = true;
   btnLookCave.disabled = true;
   btnOutCave.disabled = true;
+  btnRekeyCave.disabled = true;
   
   // Clear state
   currentAccount = null;
@@ -234,9 +677,36 @@ function onAccountDisconnected() {
   hideStatus();
 }
 
+/**
+ * Open CAVE STATS (works without a wallet)
+ */
+function openCaveStats() {
+  statsUI.show();
+  loadCaveStats();
+}
+
+/**
+ * Read the cave KVS at the current ledger state and render the stats
+ * @param {{refresh?: boolean}} [options] - refresh: skip the last scan's result
+ */
+async function loadCaveStats({ refresh = false } = {}) {
+  statsUI.setLoading(true);
+
+  try {
+    const stats = await getCaveStats(null, { refresh });
+    const metadata = await getResourceMetadata(stats.resources.map(r => r.resourceAddress));
+    statsUI.render(stats, metadata);
+  } catch (error) {
+    console.error('Failed to load cave stats:', error);
+    statsUI.showError(`ME NO COUNT CAVE: ${error.message}`);
+  } finally {
+    statsUI.setLoading(false);
+  }
+}
+
 /**
  * Open the modal for a specific operation
- * @param {string} mode - 'in', 'out', or 'look'
+ * @param {string} mode - 'in', 'out', 'rekey' or 'look'
  */
 async function openModal(mode) {
   if (!currentAccount) {
@@ -247,50 +717,24 @@ async function openModal(mode) {
   setStatus('LOOK FOR STUFF...', 'info');
   
   try {
-    let fungibles = [];
-    let nftCollections = [];
+    const { nftCollections, fungibles, stateVersion } = await loadModalData(mode);
     
-    if (mode === 'in') {
-      // IN CAVE: Load user account resources
-      [fungibles, nftCollections] = await Promise.all([
-        getAccountFungibles(currentAccount.address),
-        getAccountNonFungibles(currentAccount.address)
-      ]);
-      
-      // Validate we have NFTs (required for all operations)
-      if (nftCollections.length === 0) {
-        setStatus('NO NFT! ME NEED NFT USE CAVE.', 'error');
-        return;
-      }
-      
-    } else {
-      // OUT CAVE & LOOK CAVE: Load all tokens from cave KVS + NFTs from account
-      nftCollections = await getAccountNonFungibles(currentAccount.address);
-
-      // Validate we have NFTs
-      if (nftCollections.length === 0) {
-        setStatus('NO NFT! ME NEED NFT USE CAVE.', 'error');
-        return;
-      }
-
-      // Query all unique resource addresses stored in the cave
-      const resourceAddresses = await getAllCaveTokens();
-
-      // Fetch metadata for all discovered tokens
-      const metadata = await getResourceMetadata(resourceAddresses);
-
-      // Convert to fungibles format
-      fungibles = resourceAddresses.map(address => ({
-        resourceAddress: address,
-        symbol: metadata[address]?.symbol || metadata[address]?.name || 'UNKNOWN',
-        iconUrl: metadata[address]?.iconUrl || null,
-        name: metadata[address]?.name || '',
-        amount: '0' // Not relevant for OUT/LOOK
-      }));
+    // Validate we have NFTs (required for all operations)
+    if (nftCollections.length === 0) {
+      setStatus('NO NFT! ME NEED NFT USE CAVE.', 'error');
+      return;
+    }
+    
+    // OUT CAVE and REKEY show gross / fee / net, so load the current fee rate
+    // (falls back to the configured rate, which the preview marks as not confirmed)
+    if (mode === 'out' || mode === 'rekey') {
+      const { rate, confirmed } = await getWithdrawalFeeRate();
+      modalUI.setFeeRate(rate, confirmed);
     }
     
     hideStatus();
-    modalUI.show(mode, nftCollections, fungibles);
+    modalUI.setAccounts(allAccounts, currentAccount.address);
+    modalUI.show(mode, nftCollections, fungibles, stateVersion);
     
   } catch (error) {
     console.error('Failed to load account data:', error);
@@ -298,33 +742,172 @@ async function openModal(mode) {
   }
 }
 
+/**
+ * Load the key picker and token lists for a modal mode
+ * @param {string} mode - 'in', 'out', 'rekey' or 'look'
+ * @returns {Promise<{nftCollections: Array, fungibles: Array, stateVersion: number|null}>}
+ */
+async function loadModalData(mode) {
+  let fungibles = [];
+  let nftCollections = [];
+  // Ledger state versions the loaded views were read at
+  const stateVersions = [];
+  
+  if (mode === 'in') {
+    // IN CAVE: Load user account resources
+    const [accountFungibles, accountNfts] = await Promise.all([
+      getAccountFungibles(currentAccount.address),
+      getAccountNonFungibles(currentAccount.address)
+    ]);
+    fungibles = accountFungibles.fungibles;
+    nftCollections = accountNfts.collections;
+    stateVersions.push(accountFungibles.stateVersion, accountNfts.stateVersion);
+    
+  } else {
+    // OUT CAVE, REKEY & LOOK CAVE: Load all tokens from cave KVS + NFTs from account
+    const [accountNfts, caveTokens] = await Promise.all([
+      getAccountNonFungibles(currentAccount.address),
+      // Query all unique resource addresses stored in the cave
+      getAllCaveTokens()
+    ]);
+    nftCollections = accountNfts.collections;
+    const resourceAddresses = caveTokens.tokens;
+    stateVersions.push(accountNfts.stateVersion, caveTokens.stateVersion);
+
+    // Fetch metadata for all discovered tokens
+    const metadata = await getResourceMetadata(resourceAddresses);
+
+    // Convert to fungibles format
+    fungibles = resourceAddresses.map(address => ({
+      resourceAddress: address,
+      symbol: metadata[address]?.symbol || metadata[address]?.name || 'UNKNOWN',
+      iconUrl: metadata[address]?.iconUrl || null,
+      name: metadata[address]?.name || '',
+      amount: '0' // Not relevant for OUT/LOOK
+    }));
+  }
+  
+  // Show the oldest view: everything in the modal is at least this fresh
+  const known = stateVersions.filter(v => v !== null && v !== undefined);
+  const stateVersion = known.length > 0 ? Math.min(...known) : null;
+  
+  return { nftCollections, fungibles, stateVersion };
+}
+
+/**
+ * A view served from IndexedDB turned out stale - refresh the open modal in place
+ * @param {{key: string, account: string|null}} detail - From ACCOUNT_VIEW_UPDATED
+ */
+async function onAccountViewUpdated({ account }) {
+  if (!currentAccount) return;
+  if (account !== null && account !== currentAccount.address) return;
+
+  await refreshOpenModal();
+}
+
+/**
+ * Reload the open modal's lists from cache/gateway, keeping selections
+ */
+async function refreshOpenModal() {
+  if (!currentAccount || !modalUI.isOpen()) return;
+
+  try {
+    const { nftCollections, fungibles, stateVersion } = await loadModalData(modalUI.mode);
+    modalUI.refreshData(nftCollections, fungibles, stateVersion);
+  } catch (error) {
+    console.warn('Failed to refresh modal data:', error);
+  }
+}
+
+/**
+ * Fetch the next page of NFT IDs for a collection in the key picker
+ * Appends in place, so the session-cached collection keeps the extra IDs too
+ * @param {object} collection - NFT collection from getAccountNonFungibles
+ */
+async function loadMoreNftIds(collection) {
+  if (!currentAccount || !collection.nextCursor) return;
+
+  const { ids, nextCursor } = await getMoreNftIds(
+    currentAccount.address,
+    collection.vaultAddress,
+    collection.resourceAddress,
+    collection.nextCursor,
+    collection.stateVersion ?? null
+  );
+
+  collection.nfIds.push(...ids);
+  collection.nextCursor = nextCursor;
+}
+
 /**
  * Handle IN CAVE or OUT CAVE transaction submission
  * @param {object} data - Transaction data from modal
  */
 async function handleTransaction(data) {
-  if (!currentAccount || !data.nft || data.resources.length === 0) {
+  const { mode } = data;
+  // OUT CAVE may carry several keys (data.keys); everything else is one key
+  const keys = data.keys || [{ nft: data.nft, resources: data.resources }];
+
+  if (!currentAccount || keys.length === 0 || keys.some(k => !k.nft || k.resources.length === 0)) {
+    return;
+  }
+  if (mode === 'rekey' && !data.target) {
     return;
   }
   
-  const { mode, nft, resources } = data;
+  const { nft, resources } = keys[0];
+  // OUT CAVE may deposit into another account; the signer still holds the keys
+  const destination = data.destination || currentAccount.address;
   
   modalUI.setLoading(true);
+
+  // Rare tokens and odd amounts link IN and OUT - warn once, a second click sends anyway
+  if ((mode === 'in' || mode === 'out') && !data.privacyConfirmed) {
+    const warnings = await checkPrivacy(mode, keys.flatMap(k => k.resources));
+    if (warnings.length > 0) {
+      modalUI.setLoading(false);
+      modalUI.showPrivacyWarnings(warnings);
+      return;
+    }
+  }
   
+  const generation = panicGeneration;
+
   try {
+
     // Build the appropriate manifest
     let manifest;
     
-    if (mode === 'in') {
-      manifest = buildInCaveManifest(
+    if (mode === 'rekey') {
+      manifest = buildRekeyManifest(
         currentAccount.address,
-        nft.collection,
-        nft.id,
+        { nftCollection: nft.collection, nftId: nft.id },
+        { nftCollection: data.target.collection, nftId: data.target.id },
         resources.map(r => ({
           resourceAddress: r.resourceAddress,
           amount: r.amount
         }))
       );
+    } else if (mode === 'out' && keys.length > 1) {
+      manifest = buildBatchOutCaveManifest(
+        currentAccount.address,
+        keys.map(k => ({
+          nftCollection: k.nft.collection,
+          nftId: k.nft.id,
+          withdrawals: k.resources.map(r => ({
+            resourceAddress: r.resourceAddress,
+            amount: r.amount
+          }))
+        })),
+        destination
+      );
+    } else if (mode === 'in') {
+      manifest = buildInCaveManifest(
+        currentAccount.address,
+        nft.collection,
+        nft.id,
+        groupDepositResources(resources)
+      );
     } else if (mode === 'out') {
       manifest = buildOutCaveManifest(
         currentAccount.address,
@@ -333,7 +916,8 @@ async function handleTransaction(data) {
         resources.map(r => ({
           resourceAddress: r.resourceAddress,
           amount: r.amount
-        }))
+        })),
+        destination
       );
     } else {
       throw new Error('Invalid mode for transaction');
@@ -344,55 +928,33 @@ async function handleTransaction(data) {
     // Send transaction to wallet for signing
     const result = await rdt.walletApi.sendTransaction({
       transactionManifest: manifest,
-      message: mode === 'in' ? 'PUT IN CAVE' : 'TAKE FROM CAVE'
+      message: TRANSACTION_MESSAGES[mode]
     });
     
     if (result.isErr()) {
       throw new Error(result.error.message || 'ME NO DO! YOU SAY NO!');
     }
-    
-    // Success - update UI cache if IN CAVE
-    if (mode === 'in') {
-      console.log('IN CAVE transaction successful');
-
-      // Update cave balances if we've looked them up
-      for (const resource of resources) {
-        modalUI.updateCaveBalance(resource.resourceAddress, resource.amount, {
-          symbol: resource.symbol,
-          name: resource.symbol,
-          iconUrl: resource.iconUrl
-        });
-      }
 
-      // Invalidate account caches (balances changed)
-      sessionCache.remove(`fungibles:${currentAccount.address}`);
-      sessionCache.remove(`nfts:${currentAccount.address}`);
-      // Invalidate cave tokens cache (new tokens may have been added)
-      sessionCache.remove('cave_tokens');
-      console.log('Invalidated account and cave tokens cache after IN CAVE transaction');
-    } else if (mode === 'out') {
-      // Update cave balances by subtracting the amounts taken out
-      for (const resource of resources) {
-        modalUI.updateCaveBalance(resource.resourceAddress, `-${resource.amount}`, {
-          symbol: resource.symbol,
-          name: resource.symbol,
-          iconUrl: resource.iconUrl
-        });
-      }
-
-      // Invalidate only account fungibles cache (balances changed)
-      sessionCache.remove(`fungibles:${currentAccount.address}`);
-      sessionCache.remove(`nfts:${currentAccount.address}`);
-      console.log('Invalidated account cache after OUT CAVE transaction');
-    }
+    const intentHash = result.value.transactionIntentHash;
+    if (panickedSince(generation)) return;
 
-    // Close modal (don't clear all cache, only specific keys were invalidated)
+    // Close modal - the status bar tracks the transaction from here
     modalUI.hide();
-    
-    // No success message shown on main page - removed setStatus call
-    console.log('Transaction successful:', result.value.transactionIntentHash);
+    // REKEY is an OUT CAVE from the old key and an IN CAVE of what came out to the new one
+    const trackedKeys = mode === 'rekey'
+      ? rekeyTrackedKeys(nft, data.target, summarizeResources(resources), modalUI.feeRate)
+      : keys.map(k => ({ nft: k.nft, resources: summarizeResources(k.resources) }));
+
+    trackTransaction(
+      intentHash,
+      mode,
+      trackedKeys,
+      currentAccount.address,
+      destination
+    );
     
   } catch (error) {
+    if (panickedSince(generation)) return;
     console.error('Transaction failed:', error);
     setStatus(`ME NO DO! ${error.message}`, 'error');
   } finally {
@@ -401,27 +963,278 @@ async function handleTransaction(data) {
 }
 
 /**
- * Handle LOOK CAVE balance query
- * @param {object} data - Query data from modal
+ * Compare a planned IN / OUT CAVE with recent cave activity
+ * The check is advisory: if the gateway can't be read, nothing is flagged
+ * @param {string} mode - 'in' or 'out'
+ * @param {Array} resources - Resources from the modal (all keys)
+ * @returns {Promise<Array>} - Warnings from findPrivacyWarnings
  */
-async function handleLookup(data) {
-  if (!currentAccount || !data.nft || data.resources.length === 0) {
-    return;
+async function checkPrivacy(mode, resources) {
+  try {
+    const { movements } = await getRecentCaveActivity();
+    return findPrivacyWarnings(mode, resources, movements);
+  } catch (error) {
+    console.warn('Cave activity check failed:', error);
+    return [];
   }
-  
-  const { nft, resources } = data;
+}
+
+/**
+ * Group IN CAVE selections for the manifest builder
+ * Individual NFTs of the same collection go into one bucket
+ * @param {Array} resources - Resources from the modal
+ * @returns {Array<{resourceAddress: string, amount?: string, nonFungibleIds?: string[]}>}
+ */
+function groupDepositResources(resources) {
+  const grouped = [];
+  const nftGroups = new Map();
+
+  for (const r of resources) {
+    if (r.kind !== 'nonFungible') {
+      grouped.push({ resourceAddress: r.resourceAddress, amount: r.amount });
+      continue;
+    }
+
+    if (!nftGroups.has(r.resourceAddress)) {
+      const group = { resourceAddress: r.resourceAddress, nonFungibleIds: [] };
+      nftGroups.set(r.resourceAddress, group);
+      grouped.push(group);
+    }
+
+    nftGroups.get(r.resourceAddress).nonFungibleIds.push(r.nfId);
+  }
+
+  return grouped;
+}
+
+/**
+ * Collapse selections to one entry per resource with the total amount
+ * (each NFT counts as 1) for post-commit balance reconciliation
+ * @param {Array} resources - Resources from the modal
+ * @returns {Array}
+ */
+function summarizeResources(resources) {
+  const byAddress = new Map();
+
+  for (const r of resources) {
+    const existing = byAddress.get(r.resourceAddress);
+    if (existing) {
+      existing.amount = addDecimal(existing.amount, r.amount);
+    } else {
+      byAddress.set(r.resourceAddress, { ...r });
+    }
+  }
+
+  return [...byAddress.values()];
+}
+
+/**
+ * REKEY bookkeeping: the old key loses the gross amounts, the new key gains them minus the OUT fee
+ * @param {object} fromNft
+ * @param {object} toNft
+ * @param {Array} resources - Summarized resources (gross amounts)
+ * @param {string|null} feeRate - OUT CAVE fee as a fraction
+ * @returns {Array<{nft: object, resources: Array, mode: string}>}
+ */
+function rekeyTrackedKeys(fromNft, toNft, resources, feeRate) {
+  const received = resources.map(r => ({
+    ...r,
+    amount: (feeRate && calculateWithdrawalFee(r.amount, feeRate)?.net) || r.amount
+  }));
+
+  return [
+    { nft: fromNft, resources, mode: 'out' },
+    { nft: toNft, resources: received, mode: 'in' }
+  ];
+}
+
+/**
+ * Follow a submitted transaction until the ledger commits or rejects it
+ * Caches and balances are only touched once commitment is confirmed
+ * @param {string} intentHash - Transaction intent hash from the wallet
+ * @param {string} mode - 'in', 'out' or 'rekey'
+ * @param {Array<{nft: object, resources: Array, mode?: string}>} keys - NFT keys used and the resources moved
+ *   with each (`mode` overrides the transaction mode for that key: 'in' or 'out')
+ * @param {string} accountAddress - Account that signed the transaction
+ * @param {string} [destinationAddress] - Account that received OUT CAVE funds (defaults to accountAddress)
+ * @returns {Promise<string|null>} - Final transaction status, or null if it couldn't be followed
+ */
+async function trackTransaction(intentHash, mode, keys, accountAddress, destinationAddress = accountAddress) {
+  const dashboardLink = `${CONFIG.dashboardUrl}/transaction/${intentHash}`;
+  const generation = panicGeneration;
+
+  setTransactionStatus(PENDING_MESSAGES.Pending, 'info', dashboardLink);
+
+  try {
+    const outcome = await waitForTransactionCommit(intentHash, (status) => {
+      if (PENDING_MESSAGES[status] && !panickedSince(generation)) {
+        setTransactionStatus(PENDING_MESSAGES[status], 'info', dashboardLink);
+      }
+    });
+    // A panic wiped the app meanwhile: leave no trace of this transaction
+    if (panickedSince(generation)) return null;
+
+    if (outcome.status === 'CommittedSuccess') {
+      const mismatches = [];
+      for (const { nft, resources, mode: keyMode = mode } of keys) {
+        mismatches.push(...await onTransactionCommitted(keyMode, nft, resources, accountAddress));
+        if (panickedSince(generation)) return null;
+      }
+      // Funds sent to another account: its balances changed too
+      if (destinationAddress !== accountAddress) {
+        invalidateViews([`fungibles:${destinationAddress}`, `nfts:${destinationAddress}`]);
+      }
+      const message = COMMITTED_MESSAGES[mode];
+
+      if (mismatches.length > 0) {
+        setTransactionStatus(`${message} BUT CAVE COUNT DIFFERENT - ME SHOW REAL COUNT.`, 'info', dashboardLink);
+      } else {
+        setTransactionStatus(message, 'success', dashboardLink);
+      }
+    } else if (outcome.status === 'Unknown') {
+      setTransactionStatus('ME NO KNOW YET. LOOK DASHBOARD.', 'info', dashboardLink);
+    } else {
+      console.error('Transaction failed:', outcome);
+      setTransactionStatus(`ME NO DO! ${outcome.errorMessage || outcome.status}`, 'error', dashboardLink);
+    }
+    return outcome.status;
+  } catch (error) {
+    if (panickedSince(generation)) return null;
+    console.error('Transaction tracking failed:', error);
+    setTransactionStatus(`ME NO KNOW! ${error.message}`, 'error', dashboardLink);
+    return null;
+  }
+}
+
+/**
+ * Drop cached account views here and in every other open tab
+ * @param {string[]} keys - sessionCache / persistentCache keys
+ */
+function invalidateViews(keys) {
+  for (const key of keys) {
+    sessionCache.remove(key);
+    persistentCache.remove(key);
+  }
+  tabSync.invalidate(keys);
+}
+
+/**
+ * Update cached state once the ledger confirms a transaction
+ * Cave balances on screen are replaced with a fresh query_balances preview,
+ * and other open tabs are told to do the same
+ * @param {string} mode - 'in' or 'out'
+ * @param {object} nft - NFT key used in the transaction
+ * @param {Array} resources - Resources from the submitted transaction
+ * @param {string} accountAddress - Account that signed the transaction
+ * @returns {Promise<string[]>} - Resource addresses whose ledger balance differs from the submitted amounts
+ */
+async function onTransactionCommitted(mode, nft, resources, accountAddress) {
+  // Invalidate account caches (balances changed), the cave activity the privacy check uses
+  // and the last CAVE STATS scan
+  const keys = [`fungibles:${accountAddress}`, `nfts:${accountAddress}`, 'cave_activity', 'cave_stats'];
+
+  if (mode === 'in') {
+    // Invalidate cave tokens cache (new tokens may have been added)
+    keys.push('cave_tokens');
+    console.log('Invalidated account and cave tokens cache after IN CAVE transaction');
+  } else {
+    console.log('Invalidated account cache after OUT CAVE transaction');
+  }
+
+  invalidateViews(keys);
+
+  tabSync.announceCommitted({
+    mode,
+    nft: { collection: nft.collection, id: nft.id },
+    resources: resources.map(r => ({ resourceAddress: r.resourceAddress, amount: r.amount })),
+    accountAddress
+  });
+
+  return applyCommittedTransaction(mode, nft, resources, accountAddress);
+}
+
+/**
+ * Another tab's transaction committed: catch this tab up
+ * (its caches were already invalidated by the 'invalidate' message)
+ * @param {{mode: string, nft: object, resources: Array, accountAddress: string}} transaction
+ */
+async function onRemoteTransactionCommitted({ mode, nft, resources, accountAddress }) {
+  const mismatches = await applyCommittedTransaction(mode, nft, resources, accountAddress);
+
+  if (currentAccount?.address === accountAddress || mode === 'in') {
+    await refreshOpenModal();
+  }
+
+  if (modalUI.isOpen() && currentAccount?.address === accountAddress) {
+    setStatus(
+      mismatches.length > 0
+        ? 'OTHER CAVE TAB MOVE STUFF. CAVE COUNT DIFFERENT - ME SHOW REAL COUNT.'
+        : 'OTHER CAVE TAB MOVE STUFF. ME UPDATE.',
+      'info'
+    );
+  }
+}
+
+/**
+ * Registry and on-screen balances after a committed transaction (this tab or another)
+ * @param {string} mode - 'in' or 'out'
+ * @param {object} nft - NFT key used in the transaction
+ * @param {Array} resources - {resourceAddress, amount} per resource
+ * @param {string} accountAddress - Account that signed the transaction
+ * @returns {Promise<string[]>} - Resource addresses whose ledger balance differs from the submitted amounts
+ */
+async function applyCommittedTransaction(mode, nft, resources, accountAddress) {
   const resourceAddresses = resources.map(r => r.resourceAddress);
-  
-  modalUI.setLoading(true);
-  modalUI.showBalancesLoading();
-  
+
+  // Remember key -> resources (no-op unless the user opened the key registry)
+  // Every tab records it, so an unlocked registry in any tab stays in sync
+  keyRegistry.recordUse(nft, resourceAddresses).catch(error => {
+    console.error('Failed to update key registry:', error);
+  });
+
+  // Nothing on screen to reconcile unless LOOK CAVE was done with this key
+  if (!modalUI.isLookedUpWith(nft)) {
+    return [];
+  }
+
+  const changes = {};
+  for (const resource of resources) {
+    changes[resource.resourceAddress] = mode === 'in' ? resource.amount : `-${resource.amount}`;
+  }
+
   try {
+    const [balances, metadata] = await Promise.all([
+      queryCaveBalances(accountAddress, nft, resourceAddresses),
+      getResourceMetadata(resourceAddresses)
+    ]);
+    // Key switched or panic reset the modal while the preview ran
+    if (!modalUI.isLookedUpWith(nft)) return [];
+
+    return modalUI.reconcileCaveBalances(balances, changes, metadata);
+  } catch (error) {
+    console.error('Failed to reconcile cave balances:', error);
+    return [];
+  }
+}
+
+/**
+ * Query cave balances for an NFT key via transaction preview
+ * Long lists are split into several previews (CONFIG.lookChunkSize each)
+ * @param {string} accountAddress - Account holding the NFT key
+ * @param {object} nft - NFT key ({collection, id})
+ * @param {string[]} resourceAddresses - Resources to check
+ * @returns {Promise<object>} - Map of address -> balance string or null
+ */
+async function queryCaveBalances(accountAddress, nft, resourceAddresses) {
+  const balances = {};
+
+  for (const chunk of chunkArray(resourceAddresses, CONFIG.lookChunkSize)) {
     // Build preview manifest
     const manifest = buildLookCaveManifest(
-      currentAccount.address,
+      accountAddress,
       nft.collection,
       nft.id,
-      resourceAddresses
+      chunk
     );
     
     console.log('Previewing transaction:', manifest);
@@ -432,7 +1245,36 @@ async function handleLookup(data) {
     console.log('Preview result:', previewResult);
     
     // Parse balances from receipt
-    const balances = parseBalancesFromReceipt(previewResult.receipt, resourceAddresses);
+    Object.assign(balances, parseBalancesFromReceipt(previewResult.receipt, chunk));
+  }
+
+  return balances;
+}
+
+/**
+ * Handle LOOK CAVE balance query
+ * @param {object} data - Query data from modal
+ */
+async function handleLookup(data) {
+  if (!currentAccount || !data.nft || data.resources.length === 0) {
+    return;
+  }
+  
+  const { nft, resources, lookAll } = data;
+  const resourceAddresses = resources.map(r => r.resourceAddress);
+  
+  modalUI.setLoading(true);
+  modalUI.showBalancesLoading();
+  
+  try {
+    let balances = await queryCaveBalances(currentAccount.address, nft, resourceAddresses);
+
+    // LOOK ALL: only show what this key actually holds
+    if (lookAll) {
+      balances = Object.fromEntries(
+        Object.entries(balances).filter(([, amount]) => amount !== null)
+      );
+    }
     
     // Get metadata for display
     const metadata = await getResourceMetadata(resourceAddresses);
@@ -0,0 +1,165 @@
+import { CONFIG } from './config.js';
+import { decodeBech32mHrp } from './bech32m.js';
+import { countDecimalPlaces, DECIMAL_PLACES, isDecimal, normalizeDecimal, parseDecimal } from './decimal.js';
+
+/**
+ * Typed manifest values
+ * Every value pasted into manifest text goes through one of these encoders.
+ * They validate first and throw a descriptive Error, so a bad address, NFT ID
+ * or amount never reaches the wallet as a broken manifest.
+ */
+
+// Largest Scrypto Decimal: I192 with 18 fractional digits
+const DECIMAL_MAX = (1n << 191n) - 1n;
+
+const U64_MAX = (1n << 64n) - 1n;
+
+/**
+ * Validate a Radix address for the configured network
+ * @param {string} address
+ * @param {string|string[]} [entityPrefixes] - Allowed entity types (e.g. 'account', 'resource')
+ * @returns {string} - The address, unchanged
+ */
+export function validateAddress(address, entityPrefixes) {
+  if (typeof address !== 'string' || address === '') {
+    throw new Error('Address is empty');
+  }
+
+  const hrp = decodeBech32mHrp(address);
+  if (hrp === null) {
+    throw new Error(`Invalid address (bad Bech32m encoding): ${address}`);
+  }
+
+  const networkSuffix = `_${CONFIG.hrpSuffix}`;
+  if (!hrp.endsWith(networkSuffix)) {
+    throw new Error(`Address is not on ${CONFIG.network}: ${address}`);
+  }
+
+  if (entityPrefixes) {
+    const allowed = Array.isArray(entityPrefixes) ? entityPrefixes : [entityPrefixes];
+    const entity = hrp.slice(0, -networkSuffix.length);
+
+    if (!allowed.includes(entity)) {
+      throw new Error(`Expected ${allowed.join(' or ')} address, got ${entity}: ${address}`);
+    }
+  }
+
+  return address;
+}
+
+/**
+ * Validate a NonFungibleLocalId in manifest form
+ * #123# (Integer), <abc_1> (String), [0a1b] (Bytes), {xxxx...-...-...-...} (RUID)
+ * @param {string} id
+ * @returns {string} - The ID, unchanged
+ */
+export function validateNonFungibleLocalId(id) {
+  if (typeof id !== 'string' || id.length < 3) {
+    throw new Error(`Invalid NFT ID: ${id}`);
+  }
+
+  const open = id[0];
+  const close = id[id.length - 1];
+  const inner = id.slice(1, -1);
+
+  switch (`${open}${close}`) {
+    case '##':
+      // No leading zeros, must fit a u64
+      if (!/^(0|[1-9][0-9]*)$/.test(inner) || BigInt(inner) > U64_MAX) {
+        throw new Error(`Invalid integer NFT ID (expected #0# to #${U64_MAX}#): ${id}`);
+      }
+      break;
+
+    case '<>':
+      if (!/^[_0-9a-zA-Z]{1,64}$/.test(inner)) {
+        throw new Error(`Invalid string NFT ID (1-64 chars of a-z, A-Z, 0-9, _): ${id}`);
+      }
+      break;
+
+    case '[]':
+      if (!/^(?:[0-9a-f]{2}){1,64}$/.test(inner)) {
+        throw new Error(`Invalid bytes NFT ID (1-64 bytes of lowercase hex): ${id}`);
+      }
+      break;
+
+    case '{}':
+      if (!/^[0-9a-f]{16}-[0-9a-f]{16}-[0-9a-f]{16}-[0-9a-f]{16}$/.test(inner)) {
+        throw new Error(`Invalid RUID NFT ID: ${id}`);
+      }
+      break;
+
+    default:
+      throw new Error(`Invalid NFT ID (unknown type): ${id}`);
+  }
+
+  return id;
+}
+
+/**
+ * Validate a Decimal and return its canonical form
+ * @param {string} amount
+ * @param {{positive?: boolean}} [options] - positive: require > 0 (amounts moved)
+ * @returns {string}
+ */
+export function validateDecimal(amount, { positive = false } = {}) {
+  const value = typeof amount === 'string' ? amount.trim() : amount;
+
+  if (typeof value !== 'string' || !isDecimal(value)) {
+    throw new Error(`Invalid decimal: ${amount}`);
+  }
+
+  if (countDecimalPlaces(value) > DECIMAL_PLACES) {
+    throw new Error(`Decimal has more than ${DECIMAL_PLACES} decimal places: ${amount}`);
+  }
+
+  const scaled = parseDecimal(value);
+
+  if (scaled > DECIMAL_MAX || scaled < -DECIMAL_MAX - 1n) {
+    throw new Error(`Decimal out of range: ${amount}`);
+  }
+
+  if (positive && scaled <= 0n) {
+    throw new Error(`Amount must be greater than 0: ${amount}`);
+  }
+
+  return normalizeDecimal(value);
+}
+
+/**
+ * @param {string} address
+ * @param {string|string[]} [entityPrefixes]
+ * @returns {string} - Address("...")
+ */
+export function manifestAddress(address, entityPrefixes) {
+  return `Address("${validateAddress(address, entityPrefixes)}")`;
+}
+
+/**
+ * @param {string} id
+ * @returns {string} - NonFungibleLocalId("...")
+ */
+export function manifestNonFungibleLocalId(id) {
+  return `NonFungibleLocalId("${validateNonFungibleLocalId(id)}")`;
+}
+
+/**
+ * @param {string[]} ids
+ * @returns {string} - Array<NonFungibleLocalId>(...)
+ */
+export function manifestNonFungibleLocalIdArray(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error('NFT ID list is empty');
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('NFT ID list has duplicates');
+  }
+  return `Array<NonFungibleLocalId>(${ids.map(manifestNonFungibleLocalId).join(', ')})`;
+}
+
+/**
+ * @param {string} amount
+ * @returns {string} - Decimal("...") for an amount that must be > 0
+ */
+export function manifestAmount(amount) {
+  return `Decimal("${validateDecimal(amount, { positive: true })}")`;
+}
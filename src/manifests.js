@@ -1,42 +1,157 @@
 import { CONFIG } from './config.js';
+import {
+  manifestAddress,
+  manifestAmount,
+  manifestNonFungibleLocalIdArray
+} from './manifestValues.js';
+
+/**
+ * Proof of the NFT key, popped into a named proof
+ * @param {string} account - Encoded account Address(...)
+ * @param {string} nftCollection - NFT collection resource address
+ * @param {string} nftId - NFT local ID
+ * @param {string} [proofName] - Manifest proof name
+ * @returns {string}
+ */
+function keyProofInstructions(account, nftCollection, nftId, proofName = 'nft_proof') {
+  return `
+CALL_METHOD
+  ${account}
+  "create_proof_of_non_fungibles"
+  ${manifestAddress(nftCollection, 'resource')}
+  ${manifestNonFungibleLocalIdArray([nftId])}
+;
+
+POP_FROM_AUTH_ZONE
+  Proof("${proofName}")
+;
+`;
+}
+
+/**
+ * Prove one key and call out_cave with its withdrawals (buckets land on the worktop)
+ * @param {string} account - Encoded account Address(...)
+ * @param {string} nftCollection - NFT collection resource address
+ * @param {string} nftId - NFT local ID
+ * @param {Array<{resourceAddress: string, amount: string}>} withdrawals
+ * @param {string} proofName - Manifest proof name (unique per transaction)
+ * @returns {string}
+ */
+function outCaveInstructions(account, nftCollection, nftId, withdrawals, proofName) {
+  requireNonEmpty(withdrawals, 'withdrawals');
+
+  // Build withdrawal tuples: Array<Tuple<Address, Decimal>>
+  const withdrawalTuples = withdrawals
+    .map(w => `Tuple(${manifestAddress(w.resourceAddress, 'resource')}, ${manifestAmount(w.amount)})`)
+    .join(', ');
+
+  return `${keyProofInstructions(account, nftCollection, nftId, proofName)}
+CALL_METHOD
+  ${manifestAddress(CONFIG.componentAddress, 'component')}
+  "out_cave"
+  Proof("${proofName}")
+  Array<Tuple>(${withdrawalTuples})
+;
+`;
+}
+
+/**
+ * Deposit everything on the worktop
+ * The signing account takes a plain deposit_batch; any other account goes
+ * through try_deposit_batch_or_abort so its deposit rules are respected
+ * (the transaction fails instead of losing funds)
+ * @param {string} account - Encoded signing account Address(...)
+ * @param {string} accountAddress - Signing account address
+ * @param {string} destinationAddress - Account to deposit into
+ * @returns {string}
+ */
+function depositInstructions(account, accountAddress, destinationAddress) {
+  if (destinationAddress === accountAddress) {
+    return `
+CALL_METHOD
+  ${account}
+  "deposit_batch"
+  Expression("ENTIRE_WORKTOP")
+;
+`;
+  }
+
+  return `
+CALL_METHOD
+  ${manifestAddress(destinationAddress, 'account')}
+  "try_deposit_batch_or_abort"
+  Expression("ENTIRE_WORKTOP")
+  Enum<0u8>()
+;
+`;
+}
+
+/**
+ * @param {Array} list
+ * @param {string} what - Used in the error message
+ */
+function requireNonEmpty(list, what) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`No ${what} given`);
+  }
+}
 
 /**
  * Build transaction manifest for IN CAVE (deposit resources)
- * 
+ *
  * @param {string} accountAddress - User's account address
  * @param {string} nftCollection - NFT collection resource address
  * @param {string} nftId - NFT local ID (e.g., "#1#", "<uuid>", "{ruid}")
- * @param {Array<{resourceAddress: string, amount: string}>} resources - Resources to deposit
+ * @param {Array<{resourceAddress: string, amount?: string, nonFungibleIds?: string[]}>} resources - Resources to deposit
+ *   (fungibles carry `amount`, non-fungibles carry `nonFungibleIds`)
  * @returns {string} - Transaction manifest
+ * @throws {Error} - If any address, NFT ID or amount is invalid
  */
 export function buildInCaveManifest(accountAddress, nftCollection, nftId, resources) {
+  requireNonEmpty(resources, 'resources to deposit');
+
+  const account = manifestAddress(accountAddress, 'account');
+
   // Create proof of NFT
-  let manifest = `
+  let manifest = keyProofInstructions(account, nftCollection, nftId);
+
+  // Withdraw each resource and take into named bucket
+  resources.forEach((resource, index) => {
+    const resourceAddress = manifestAddress(resource.resourceAddress, 'resource');
+
+    if (resource.nonFungibleIds) {
+      const idArray = manifestNonFungibleLocalIdArray(resource.nonFungibleIds);
+
+      manifest += `
 CALL_METHOD
-  Address("${accountAddress}")
-  "create_proof_of_non_fungibles"
-  Address("${nftCollection}")
-  Array<NonFungibleLocalId>(NonFungibleLocalId("${nftId}"))
+  ${account}
+  "withdraw_non_fungibles"
+  ${resourceAddress}
+  ${idArray}
 ;
 
-POP_FROM_AUTH_ZONE
-  Proof("nft_proof")
+TAKE_NON_FUNGIBLES_FROM_WORKTOP
+  ${resourceAddress}
+  ${idArray}
+  Bucket("bucket_${index}")
 ;
 `;
+      return;
+    }
+
+    const amount = manifestAmount(resource.amount);
 
-  // Withdraw each resource and take into named bucket
-  resources.forEach((resource, index) => {
     manifest += `
 CALL_METHOD
-  Address("${accountAddress}")
+  ${account}
   "withdraw"
-  Address("${resource.resourceAddress}")
-  Decimal("${resource.amount}")
+  ${resourceAddress}
+  ${amount}
 ;
 
 TAKE_FROM_WORKTOP
-  Address("${resource.resourceAddress}")
-  Decimal("${resource.amount}")
+  ${resourceAddress}
+  ${amount}
   Bucket("bucket_${index}")
 ;
 `;
@@ -50,7 +165,7 @@ TAKE_FROM_WORKTOP
   // Call in_cave with proof and buckets
   manifest += `
 CALL_METHOD
-  Address("${CONFIG.componentAddress}")
+  ${manifestAddress(CONFIG.componentAddress, 'component')}
   "in_cave"
   Proof("nft_proof")
   Array<Bucket>(${bucketArray})
@@ -62,42 +177,102 @@ CALL_METHOD
 
 /**
  * Build transaction manifest for OUT CAVE (withdraw resources)
- * 
+ *
  * @param {string} accountAddress - User's account address
  * @param {string} nftCollection - NFT collection resource address
  * @param {string} nftId - NFT local ID
  * @param {Array<{resourceAddress: string, amount: string}>} withdrawals - Resources to withdraw
+ * @param {string} [destinationAddress] - Account that receives the funds (defaults to accountAddress)
  * @returns {string} - Transaction manifest
+ * @throws {Error} - If any address, NFT ID or amount is invalid
  */
-export function buildOutCaveManifest(accountAddress, nftCollection, nftId, withdrawals) {
-  // Build withdrawal tuples: Array<Tuple<Address, Decimal>>
-  const withdrawalTuples = withdrawals
-    .map(w => `Tuple(Address("${w.resourceAddress}"), Decimal("${w.amount}"))`)
-    .join(', ');
+export function buildOutCaveManifest(accountAddress, nftCollection, nftId, withdrawals, destinationAddress = accountAddress) {
+  const account = manifestAddress(accountAddress, 'account');
 
   const manifest = `
-CALL_METHOD
-  Address("${accountAddress}")
-  "create_proof_of_non_fungibles"
-  Address("${nftCollection}")
-  Array<NonFungibleLocalId>(NonFungibleLocalId("${nftId}"))
-;
+${outCaveInstructions(account, nftCollection, nftId, withdrawals, 'nft_proof')}${depositInstructions(account, accountAddress, destinationAddress)}`;
 
-POP_FROM_AUTH_ZONE
-  Proof("nft_proof")
-;
+  return manifest.trim();
+}
 
-CALL_METHOD
-  Address("${CONFIG.componentAddress}")
-  "out_cave"
-  Proof("nft_proof")
-  Array<Tuple>(${withdrawalTuples})
+/**
+ * Build transaction manifest for OUT CAVE across several NFT keys
+ * Each key gets its own proof and out_cave call; everything withdrawn is
+ * deposited in one batch at the end
+ *
+ * @param {string} accountAddress - User's account address
+ * @param {Array<{nftCollection: string, nftId: string, withdrawals: Array<{resourceAddress: string, amount: string}>}>} keys
+ *   - One entry per NFT key, each with its own withdrawals
+ * @param {string} [destinationAddress] - Account that receives the funds (defaults to accountAddress)
+ * @returns {string} - Transaction manifest
+ * @throws {Error} - If a key appears twice, or any address, NFT ID or amount is invalid
+ */
+export function buildBatchOutCaveManifest(accountAddress, keys, destinationAddress = accountAddress) {
+  requireNonEmpty(keys, 'NFT keys');
+
+  const seen = new Set();
+  for (const key of keys) {
+    const id = `${key.nftCollection}:${key.nftId}`;
+    if (seen.has(id)) {
+      throw new Error(`Same NFT key given twice: ${key.nftId}`);
+    }
+    seen.add(id);
+  }
+
+  const account = manifestAddress(accountAddress, 'account');
+
+  const keyBlocks = keys
+    .map((key, index) => outCaveInstructions(account, key.nftCollection, key.nftId, key.withdrawals, `nft_proof_${index}`))
+    .join('');
+
+  const manifest = `
+${keyBlocks}${depositInstructions(account, accountAddress, destinationAddress)}`;
+
+  return manifest.trim();
+}
+
+/**
+ * Build transaction manifest for REKEY (move cave funds from one NFT key to another)
+ * out_cave with the old key, then everything it returns goes straight into
+ * in_cave with the new key - the funds never reach the account
+ *
+ * @param {string} accountAddress - User's account address (holds both keys)
+ * @param {{nftCollection: string, nftId: string}} fromKey - Key the funds are under now
+ * @param {{nftCollection: string, nftId: string}} toKey - Key to move them to
+ * @param {Array<{resourceAddress: string, amount: string}>} withdrawals - Resources to move (gross, before the OUT fee)
+ * @returns {string} - Transaction manifest
+ * @throws {Error} - If both keys are the same, or any address, NFT ID or amount is invalid
+ */
+export function buildRekeyManifest(accountAddress, fromKey, toKey, withdrawals) {
+  if (fromKey.nftCollection === toKey.nftCollection && fromKey.nftId === toKey.nftId) {
+    throw new Error('Old and new NFT key are the same');
+  }
+
+  const account = manifestAddress(accountAddress, 'account');
+
+  // out_cave takes its fee, so take whatever came back rather than the gross amount
+  const resourceAddresses = [...new Set(withdrawals.map(w => w.resourceAddress))];
+
+  const takeInstructions = resourceAddresses
+    .map((address, index) => `
+TAKE_ALL_FROM_WORKTOP
+  ${manifestAddress(address, 'resource')}
+  Bucket("bucket_${index}")
 ;
+`)
+    .join('');
 
+  const bucketArray = resourceAddresses
+    .map((_, index) => `Bucket("bucket_${index}")`)
+    .join(', ');
+
+  const manifest = `
+${outCaveInstructions(account, fromKey.nftCollection, fromKey.nftId, withdrawals, 'from_proof')}${takeInstructions}${keyProofInstructions(account, toKey.nftCollection, toKey.nftId, 'to_proof')}
 CALL_METHOD
-  Address("${accountAddress}")
-  "deposit_batch"
-  Expression("ENTIRE_WORKTOP")
+  ${manifestAddress(CONFIG.componentAddress, 'component')}
+  "in_cave"
+  Proof("to_proof")
+  Array<Bucket>(${bucketArray})
 ;
 `;
 
@@ -106,33 +281,28 @@ CALL_METHOD
 
 /**
  * Build transaction manifest for LOOK CAVE (query balances via preview)
- * 
+ *
  * @param {string} accountAddress - User's account address
  * @param {string} nftCollection - NFT collection resource address
  * @param {string} nftId - NFT local ID
  * @param {string[]} resourceAddresses - Resources to check balances for
  * @returns {string} - Transaction manifest
+ * @throws {Error} - If any address or NFT ID is invalid
  */
 export function buildLookCaveManifest(accountAddress, nftCollection, nftId, resourceAddresses) {
+  requireNonEmpty(resourceAddresses, 'resources to look up');
+
+  const account = manifestAddress(accountAddress, 'account');
+
   // Build resource address array
   const addressArray = resourceAddresses
-    .map(addr => `Address("${addr}")`)
+    .map(addr => manifestAddress(addr, 'resource'))
     .join(', ');
 
   const manifest = `
+${keyProofInstructions(account, nftCollection, nftId)}
 CALL_METHOD
-  Address("${accountAddress}")
-  "create_proof_of_non_fungibles"
-  Address("${nftCollection}")
-  Array<NonFungibleLocalId>(NonFungibleLocalId("${nftId}"))
-;
-
-POP_FROM_AUTH_ZONE
-  Proof("nft_proof")
-;
-
-CALL_METHOD
-  Address("${CONFIG.componentAddress}")
+  ${manifestAddress(CONFIG.componentAddress, 'component')}
   "query_balances"
   Proof("nft_proof")
   Array<Address>(${addressArray})
@@ -140,4 +310,4 @@ CALL_METHOD
 `;
 
   return manifest.trim();
-}
\ No newline at end of file
+}
@@ -0,0 +1,271 @@
+/**
+ * Encrypted key registry (opt-in)
+ * Remembers which NFT key was used with which resources, so LOOK CAVE can
+ * pre-select them. Stored in IndexedDB as a single AES-GCM blob; the key is
+ * derived from the user's passphrase with PBKDF2 and only ever held in memory.
+ * Nothing is written in plaintext.
+ *
+ * Other local secrets (CAVE TRIPS plans) can be sealed with the same key as
+ * records of their own next to the registry; wiping the registry wipes them.
+ */
+
+const DB_NAME = 'hypercave_registry';
+const STORE_NAME = 'vault';
+const RECORD_ID = 'registry';
+
+const PBKDF2_ITERATIONS = 310000;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  };
+  return promisify(request);
+}
+
+/**
+ * Run one operation against the vault store
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await promisify(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {any} value - JSON-serializable
+ * @returns {Promise<{iv: Uint8Array, ciphertext: ArrayBuffer}>} - Fresh IV every time
+ */
+async function encrypt(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv, ciphertext };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {{iv: Uint8Array, ciphertext: ArrayBuffer}} record
+ * @returns {Promise<any>}
+ * @throws {Error} - If the key doesn't match
+ */
+async function decrypt(key, record) {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.ciphertext);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * @param {{collection: string, id: string}} nft
+ * @returns {string}
+ */
+function nftKey(nft) {
+  return `${nft.collection}:${nft.id}`;
+}
+
+export const keyRegistry = {
+  cryptoKey: null,
+  salt: null,
+  entries: null,
+
+  /**
+   * Has the user set up a registry on this device?
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    try {
+      return Boolean(await withStore('readonly', store => store.get(RECORD_ID)));
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.cryptoKey !== null;
+  },
+
+  /**
+   * Unlock the registry, creating it on first use
+   * @param {string} passphrase
+   * @throws {Error} - Wrong passphrase or IndexedDB/WebCrypto unavailable
+   */
+  async unlock(passphrase) {
+    if (!passphrase) {
+      throw new Error('Passphrase required');
+    }
+
+    const record = await withStore('readonly', store => store.get(RECORD_ID));
+
+    if (!record) {
+      this.salt = crypto.getRandomValues(new Uint8Array(16));
+      this.cryptoKey = await deriveKey(passphrase, this.salt);
+      this.entries = {};
+      await this.save();
+      return;
+    }
+
+    const key = await deriveKey(passphrase, record.salt);
+
+    let entries;
+    try {
+      entries = await decrypt(key, record);
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+
+    this.salt = record.salt;
+    this.cryptoKey = key;
+    this.entries = entries;
+  },
+
+  /**
+   * Forget the key and decrypted entries (data stays encrypted on disk)
+   */
+  lock() {
+    this.cryptoKey = null;
+    this.salt = null;
+    this.entries = null;
+  },
+
+  /**
+   * Encrypt and write entries (fresh IV every time)
+   */
+  async save() {
+    if (!this.isUnlocked()) return;
+
+    const { iv, ciphertext } = await encrypt(this.cryptoKey, this.entries);
+
+    await withStore('readwrite', store => store.put({
+      id: RECORD_ID,
+      salt: this.salt,
+      iv,
+      ciphertext
+    }));
+  },
+
+  /**
+   * Read a record sealed with writeSealed
+   * @param {string} id
+   * @returns {Promise<any|null>} - null if there is no such record
+   * @throws {Error} - While locked
+   */
+  async readSealed(id) {
+    if (!this.isUnlocked()) {
+      throw new Error('Key registry locked');
+    }
+
+    const record = await withStore('readonly', store => store.get(id));
+    return record ? decrypt(this.cryptoKey, record) : null;
+  },
+
+  /**
+   * Encrypt a value with the registry key and store it as its own record
+   * @param {string} id - Must not be the registry's own record id
+   * @param {any|null} value - JSON-serializable; null deletes the record
+   * @throws {Error} - While locked
+   */
+  async writeSealed(id, value) {
+    if (!this.isUnlocked()) {
+      throw new Error('Key registry locked');
+    }
+    if (id === RECORD_ID) {
+      throw new Error(`Record id "${id}" is reserved`);
+    }
+
+    if (value === null) {
+      await withStore('readwrite', store => store.delete(id));
+      return;
+    }
+
+    const { iv, ciphertext } = await encrypt(this.cryptoKey, value);
+    await withStore('readwrite', store => store.put({ id, iv, ciphertext }));
+  },
+
+  /**
+   * Remember that an NFT key was used with these resources
+   * No-op while locked
+   * @param {{collection: string, id: string}} nft
+   * @param {string[]} resourceAddresses
+   */
+  async recordUse(nft, resourceAddresses) {
+    if (!this.isUnlocked()) return;
+
+    const key = nftKey(nft);
+    const existing = this.entries[key]?.resources || [];
+
+    this.entries[key] = {
+      resources: [...new Set([...existing, ...resourceAddresses])],
+      lastUsed: Date.now()
+    };
+
+    await this.save();
+  },
+
+  /**
+   * @param {{collection: string, id: string}} nft
+   * @returns {string[]} - Resources remembered for this key (empty while locked)
+   */
+  getResources(nft) {
+    if (!this.isUnlocked()) return [];
+    return this.entries[nftKey(nft)]?.resources || [];
+  },
+
+  /**
+   * Delete the registry from this device immediately
+   */
+  async wipe() {
+    this.lock();
+    await promisify(indexedDB.deleteDatabase(DB_NAME));
+  }
+};
@@ -0,0 +1,288 @@
+import { CONFIG } from './config.js';
+import { DECIMAL_PLACES, parseDecimal, toDecimalString } from './decimal.js';
+import { roundAmount } from './anonymity.js';
+import { keyRegistry } from './registry.js';
+
+/**
+ * Staggered OUT CAVE
+ * A withdrawal is split into randomized chunks, each due at a random time in
+ * its own slot of the chosen spread. Every chunk is a separate OUT CAVE the
+ * wallet signs when it is due, so the amounts and timing no longer mirror an
+ * earlier IN CAVE.
+ *
+ * Plans name the NFT key and amounts, so they are never written in
+ * plaintext: they are sealed with the key registry's key (see
+ * keyRegistry.writeSealed) and survive reloads there. Planning needs the
+ * registry unlocked; while it is locked the sealed plans are out of reach and
+ * nothing is shown or announced. Every change re-reads the sealed plans first
+ * so tabs don't overwrite each other, and onSaved lets the caller tell other
+ * tabs to load() again. The duress gesture wipes them with everything else.
+ */
+
+const SEALED_RECORD_PREFIX = 'plans';
+
+/**
+ * @returns {number} - Uniform random number in [0, 1)
+ */
+function random() {
+  return crypto.getRandomValues(new Uint32Array(1))[0] / 2 ** 32;
+}
+
+/**
+ * Split an amount into `count` randomized chunks that add up to it exactly
+ * Every chunk but the last is rounded to a few significant digits so it
+ * blends in; the last one takes the remainder
+ * @param {string} amount
+ * @param {number} count
+ * @param {number} [divisibility] - Chunks respect the token's divisibility
+ * @returns {string[]}
+ * @throws {Error} - If the amount is too small for that many chunks
+ */
+export function randomChunks(amount, count, divisibility = DECIMAL_PLACES) {
+  const { jitter } = CONFIG.splitPlan;
+  const step = 10n ** BigInt(DECIMAL_PLACES - Math.min(divisibility, DECIMAL_PLACES));
+  const totalUnits = parseDecimal(amount) / step;
+
+  if (!Number.isInteger(count) || count < 2) {
+    throw new Error('Need at least 2 chunks');
+  }
+  if (totalUnits < BigInt(count)) {
+    throw new Error(`Amount too small to split in ${count}: ${amount}`);
+  }
+
+  // Weights around 1000 +/- jitter, so no chunk is much bigger than another
+  const weights = Array.from({ length: count }, () =>
+    BigInt(Math.round(1000 * (1 - jitter + 2 * jitter * random())))
+  );
+  const weightSum = weights.reduce((sum, w) => sum + w, 0n);
+
+  const chunks = [];
+  let taken = 0n;
+
+  for (let i = 0; i < count - 1; i++) {
+    const units = (totalUnits * weights[i]) / weightSum;
+    const rounded = parseDecimal(roundAmount(toDecimalString(units * step))) / step;
+    // Every chunk gets at least one unit, and leaves one for each chunk after it
+    const room = totalUnits - taken - BigInt(count - 1 - i);
+    const chunkUnits = rounded < 1n ? 1n : (rounded > room ? room : rounded);
+
+    chunks.push(toDecimalString(chunkUnits * step));
+    taken += chunkUnits;
+  }
+
+  chunks.push(toDecimalString((totalUnits - taken) * step));
+
+  return chunks;
+}
+
+/**
+ * Random due times: the spread is cut into one slot per chunk and each chunk
+ * lands somewhere in its slot
+ * @param {number} count
+ * @param {number} spreadMs - Time from now to the end of the last slot
+ * @param {number} [now]
+ * @returns {number[]} - Timestamps, ascending
+ */
+export function randomSchedule(count, spreadMs, now = Date.now()) {
+  const slot = spreadMs / count;
+  return Array.from({ length: count }, (_, i) => Math.round(now + i * slot + random() * slot));
+}
+
+export const splitPlanner = {
+  plans: [],
+  queue: Promise.resolve(), // serializes load/update within this tab
+  timer: null,
+  notified: new Set(), // "planId:index" already announced this session
+
+  onDue: null, // (plan, chunkIndex) => void
+  onChange: null, // (plans) => void
+  onSaved: null, // () => void - sealed plans were rewritten
+
+  /**
+   * @returns {string} - Sealed record id, one per network
+   */
+  recordId() {
+    return `${SEALED_RECORD_PREFIX}:${CONFIG.networkId}`;
+  },
+
+  /**
+   * Load plans and start watching for due chunks
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.checkDue(), CONFIG.splitPlan.checkIntervalMs);
+    }
+
+    return this.load();
+  },
+
+  /**
+   * @param {function(): Promise<void>} task
+   * @returns {Promise<void>} - Settles when the task has run
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Re-read the sealed plans (call with the queue held); none while locked
+   */
+  async sync() {
+    this.plans = keyRegistry.isUnlocked()
+      ? (await keyRegistry.readSealed(this.recordId())) || []
+      : [];
+  },
+
+  /**
+   * Re-read plans after the registry was unlocked or locked, or another tab
+   * changed them
+   * @returns {Promise<void>}
+   */
+  load() {
+    return this.enqueue(async () => {
+      try {
+        await this.sync();
+      } catch (e) {
+        console.warn('Failed to load split plans:', e);
+      }
+
+      if (this.onChange) this.onChange(this.plans);
+      this.checkDue();
+    });
+  },
+
+  /**
+   * Apply a change to the latest sealed plans and seal the result
+   * @param {function(object[]): object[]} change - Gets the current plans, returns the new list
+   * @returns {Promise<void>}
+   * @throws {Error} - If the registry is locked or the plans can't be read or written
+   */
+  update(change) {
+    return this.enqueue(async () => {
+      if (!keyRegistry.isUnlocked()) {
+        throw new Error('Key registry locked');
+      }
+
+      await this.sync();
+      const plans = change(this.plans);
+
+      await keyRegistry.writeSealed(this.recordId(), plans.length > 0 ? plans : null);
+      this.plans = plans;
+
+      if (this.onSaved) this.onSaved();
+      if (this.onChange) this.onChange(this.plans);
+    });
+  },
+
+  /**
+   * Plan a staggered OUT CAVE
+   * @param {{accountAddress: string, destinationAddress: string, nft: object, resource: object,
+   *   amount: string, count: number, spreadMs: number}} options
+   *   - resource: {resourceAddress, symbol, iconUrl, divisibility}
+   * @returns {Promise<object>} - The new plan
+   * @throws {Error} - If the registry is locked or the amount can't be split that many times
+   */
+  async create({ accountAddress, destinationAddress, nft, resource, amount, count, spreadMs }) {
+    if (!keyRegistry.isUnlocked()) {
+      throw new Error('Open the key registry first - plans are only saved encrypted');
+    }
+    if (count > CONFIG.splitPlan.maxChunks) {
+      throw new Error(`At most ${CONFIG.splitPlan.maxChunks} chunks`);
+    }
+
+    const amounts = randomChunks(amount, count, resource.divisibility);
+    const dueTimes = randomSchedule(count, spreadMs);
+
+    const plan = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      accountAddress,
+      destinationAddress,
+      nft: { collection: nft.collection, id: nft.id, name: nft.name, iconUrl: nft.iconUrl },
+      resource: {
+        resourceAddress: resource.resourceAddress,
+        symbol: resource.symbol,
+        iconUrl: resource.iconUrl,
+        divisibility: resource.divisibility
+      },
+      chunks: amounts.map((chunkAmount, i) => ({
+        amount: chunkAmount,
+        dueAt: dueTimes[i],
+        status: 'pending', // 'pending' | 'submitted' | 'done'
+        intentHash: null
+      }))
+    };
+
+    await this.update(plans => [...plans, plan]);
+    this.checkDue();
+
+    return plan;
+  },
+
+  /**
+   * @param {string} planId
+   * @returns {object|null}
+   */
+  get(planId) {
+    return this.plans.find(plan => plan.id === planId) || null;
+  },
+
+  /**
+   * Update one chunk; the plan is dropped once every chunk is done
+   * @param {string} planId
+   * @param {number} index
+   * @param {object} changes - e.g. {status: 'submitted', intentHash}
+   * @returns {Promise<void>}
+   */
+  updateChunk(planId, index, changes) {
+    return this.update(plans => {
+      const plan = plans.find(p => p.id === planId);
+      if (!plan || !plan.chunks[index]) return plans;
+
+      Object.assign(plan.chunks[index], changes);
+
+      return plan.chunks.every(chunk => chunk.status === 'done')
+        ? plans.filter(p => p !== plan)
+        : plans;
+    });
+  },
+
+  /**
+   * @param {string} planId
+   * @returns {Promise<void>}
+   */
+  cancel(planId) {
+    return this.update(plans => plans.filter(plan => plan.id !== planId));
+  },
+
+  /**
+   * Announce chunks that became due (once per chunk per session)
+   */
+  checkDue() {
+    const now = Date.now();
+
+    for (const plan of this.plans) {
+      plan.chunks.forEach((chunk, index) => {
+        const id = `${plan.id}:${index}`;
+        if (chunk.status !== 'pending' || chunk.dueAt > now || this.notified.has(id)) return;
+
+        this.notified.add(id);
+        if (this.onDue) this.onDue(plan, index);
+      });
+    }
+  },
+
+  /**
+   * Forget every plan in memory (duress gesture - the sealed copy goes with
+   * the registry)
+   */
+  clear() {
+    this.plans = [];
+    this.notified.clear();
+
+    if (this.onChange) this.onChange(this.plans);
+  }
+};
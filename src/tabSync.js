@@ -0,0 +1,118 @@
+import { CONFIG } from './config.js';
+
+/**
+ * Cross-tab cache coherence
+ * Tabs share localStorage and IndexedDB but each has its own sessionCache,
+ * so invalidations, committed transactions, changed CAVE TRIPS and the
+ * duress wipe are announced over a BroadcastChannel (one per network).
+ * Messages are never echoed back to the tab that sent them. No-op where
+ * BroadcastChannel is unavailable.
+ */
+
+const CHANNEL_PREFIX = 'hypercave';
+
+export const tabSync = {
+  channel: null,
+
+  onInvalidate: null, // (keys) => void
+  onCommitted: null, // ({mode, nft, resources, accountAddress}) => void
+  onPlansChanged: null, // () => void
+  onPanic: null, // () => void
+
+  /**
+   * Open the channel and start listening
+   */
+  init() {
+    if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+    this.channel = new BroadcastChannel(`${CHANNEL_PREFIX}:${CONFIG.networkId}`);
+    this.channel.onmessage = (e) => this.handleMessage(e.data);
+  },
+
+  /**
+   * @param {object} message
+   */
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'invalidate':
+        if (Array.isArray(message.keys) && this.onInvalidate) {
+          this.onInvalidate(message.keys);
+        }
+        break;
+
+      case 'committed':
+        if (this.onCommitted) {
+          this.onCommitted(message.transaction);
+        }
+        break;
+
+      case 'plans':
+        if (this.onPlansChanged) {
+          this.onPlansChanged();
+        }
+        break;
+
+      case 'panic':
+        if (this.onPanic) {
+          this.onPanic();
+        }
+        break;
+
+      default:
+        console.warn('Unknown tab message:', message);
+    }
+  },
+
+  /**
+   * @param {object} message - Must be structured-cloneable
+   */
+  post(message) {
+    if (!this.channel) return;
+
+    try {
+      this.channel.postMessage(message);
+    } catch (e) {
+      console.warn('Tab broadcast failed:', e);
+    }
+  },
+
+  /**
+   * Tell other tabs to drop these session cache keys
+   * @param {string[]} keys
+   */
+  invalidate(keys) {
+    this.post({ type: 'invalidate', keys });
+  },
+
+  /**
+   * Tell other tabs a transaction from this tab committed
+   * @param {{mode: string, nft: object, resources: Array, accountAddress: string}} transaction
+   */
+  announceCommitted(transaction) {
+    this.post({ type: 'committed', transaction });
+  },
+
+  /**
+   * Tell other tabs the sealed split plans changed
+   * Only the fact is sent - plans never leave the registry unencrypted
+   */
+  announcePlansChanged() {
+    this.post({ type: 'plans' });
+  },
+
+  /**
+   * Tell other tabs to run the duress wipe as well
+   */
+  announcePanic() {
+    this.post({ type: 'panic' });
+  },
+
+  /**
+   * Stop listening (other tabs keep their channels)
+   */
+  close() {
+    if (!this.channel) return;
+    this.channel.close();
+    this.channel = null;
+  }
+};
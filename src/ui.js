@@ -1,13 +1,58 @@
+import {
+  addDecimal,
+  compareDecimal,
+  isDecimal,
+  isZeroDecimal,
+  maxDecimal
+} from './decimal.js';
 import { 
   debounce, 
+  calculateWithdrawalFee,
   escapeHtml, 
   formatAmount, 
+  formatFeeRate,
+  formatIntegerDigits,
   formatNftId, 
   getIconUrl, 
   parseNftLocalId,
   truncateToDecimals,
+  shortenAddress,
   validateAmount 
 } from './utils.js';
+import { validateAddress } from './manifestValues.js';
+import { bucketLabel } from './caveStats.js';
+import { CONFIG } from './config.js';
+
+// NFT IDs revealed per click in the key picker
+const NFT_PAGE_SIZE = 5;
+
+// Key safety labels, safest first (see getKeySafety in gateway.js)
+const KEY_SAFETY_LABELS = {
+  soulbound: 'SOUL-BOUND',
+  recallable: 'RECALLABLE',
+  transferable: 'TRANSFERABLE'
+};
+const KEY_SAFETY_ORDER = Object.keys(KEY_SAFETY_LABELS);
+
+/**
+ * @param {string} keySafety
+ * @returns {string} - Badge HTML
+ */
+function keySafetyBadge(keySafety) {
+  const safety = KEY_SAFETY_LABELS[keySafety] ? keySafety : 'transferable';
+  return `<span class="key-badge ${safety}">${KEY_SAFETY_LABELS[safety]}</span>`;
+}
+
+/**
+ * Possible manifest forms of a typed NFT ID
+ * @param {string} query - "#12#", "<name>", or a bare "12" / "name"
+ * @returns {string[]}
+ */
+function nftIdCandidates(query) {
+  if (/^[#<[{].*[#>\]}]$/.test(query)) return [query];
+  if (/^[0-9]+$/.test(query)) return [`#${query}#`, `<${query}>`];
+  return [`<${query}>`, `[${query}]`, `{${query}}`];
+}
 
 /**
  * Modal UI Controller
@@ -23,28 +68,66 @@ export class ModalUI {
     this.nftSearch = document.getElementById('nft-search');
     this.nftDropdown = document.getElementById('nft-dropdown');
     this.selectedNft = document.getElementById('selected-nft');
+    this.targetNftLabel = document.getElementById('target-nft-label');
+    this.targetNft = document.getElementById('target-nft');
     
     this.resourceSection = document.getElementById('resource-section');
     this.resourceSectionTitle = document.getElementById('resource-section-title');
     this.resourceSearch = document.getElementById('resource-search');
     this.resourceDropdown = document.getElementById('resource-dropdown');
     this.selectedResources = document.getElementById('selected-resources');
+    this.lookAllBtn = document.getElementById('btn-look-all');
     
     this.balancesSection = document.getElementById('balances-section');
     this.balancesSectionTitle = document.getElementById('balances-section-title');
     this.caveBalancesElement = document.getElementById('cave-balances');
+    this.feeSummary = document.getElementById('fee-summary');
+    this.keyWarning = document.getElementById('key-warning');
+    this.privacyWarning = document.getElementById('privacy-warning');
+    this.stateVersionLabel = document.getElementById('state-version');
+    this.outBatchElement = document.getElementById('out-batch');
+    this.destinationSection = document.getElementById('destination-section');
+    this.destinationSelect = document.getElementById('destination-select');
+    this.destinationInput = document.getElementById('destination-input');
+    this.destinationWarning = document.getElementById('destination-warning');
+    this.addKeyBtn = document.getElementById('btn-add-key');
+    this.splitSection = document.getElementById('split-section');
+    this.splitCount = document.getElementById('split-count');
+    this.splitHours = document.getElementById('split-hours');
+    this.splitBtn = document.getElementById('btn-split');
+    this.splitHint = document.getElementById('split-hint');
+    this.splitHintText = this.splitHint.textContent;
     
     this.mode = null;
     this.nftCollections = [];
     this.fungibles = [];
     this.selectedNftData = null;
+    this.targetNftData = null; // REKEY: key the funds move to (selectedNftData is the old key)
+    this.nftPickSlot = 'key'; // REKEY: which key the picker fills - 'key' or 'target'
+    this.riskConfirmed = false; // User accepted a transferable receiving key (IN CAVE / REKEY)
+    this.privacyWarnedFor = null; // Selection the privacy warnings were shown for (same selection again sends anyway)
     this.selectedResourcesList = [];
+    this.outBatch = []; // OUT CAVE keys parked for one multi-key transaction: {nft, resources}
+    this.accounts = []; // Wallet's shared accounts (destination picker)
+    this.accountAddress = null; // Account that signs (holds the keys)
     this.hasLookedUp = false;
     this.caveBalancesData = {}; // Store cave balances data
     this.caveResourceMetadata = {}; // Store resource metadata for cave balances
+    this.feeRate = null; // OUT CAVE fee as a fraction (e.g. "0.001")
+    this.feeConfirmed = false; // false: feeRate is the configured fallback
+    this.lookedUpNft = null; // NFT key the cave balances belong to
+    this.balanceMismatches = new Set(); // Addresses where ledger disagreed after a transaction
+
+    this.nftVisibleCounts = new Map(); // vaultAddress -> number of IDs shown in key picker
+    this.nftData = new Map(); // "collection:id" -> {name, imageUrl, description}
 
     this.onSubmit = null;
     this.onLookup = null;
+    this.onLoadMoreNfts = null; // async (collection) => appends next page to collection.nfIds
+    this.onLoadNftData = null; // async (resourceAddress, ids) => map of id -> {name, imageUrl, description}
+    this.getRememberedResources = null; // (nft) => resource addresses from the key registry
+    this.onPlanSplit = null; // ({nft, resource, destination, count, spreadMs}) => void
+    this.canSavePlans = null; // () => boolean - plans are only saved (encrypted) with the key registry open
     
     this.bindEvents();
   }
@@ -77,20 +160,45 @@ export class ModalUI {
     });
     
     this.submitBtn.addEventListener('click', () => this.handleSubmit());
+    this.lookAllBtn.addEventListener('click', () => this.handleLookAll());
+    this.addKeyBtn.addEventListener('click', () => this.addKeyToBatch());
+
+    this.splitBtn.addEventListener('click', () => this.handlePlanSplit());
+    this.splitCount.max = String(CONFIG.splitPlan.maxChunks);
+    this.splitHours.value = String(CONFIG.splitPlan.defaultSpreadHours);
+
+    this.destinationSelect.addEventListener('change', () => this.updateDestination());
+    this.destinationInput.addEventListener('input', debounce(() => this.updateDestination(), 200));
+
+    this.privacyWarning.addEventListener('click', (e) => {
+      const btn = e.target.closest('.suggest-btn');
+      if (btn) this.applySuggestedAmount(btn.dataset.address, btn.dataset.from, btn.dataset.to);
+    });
+
+    // REKEY: click a key card to pick that key again
+    this.selectedNft.addEventListener('click', () => this.setNftPickSlot('key'));
+    this.targetNft.addEventListener('click', () => this.setNftPickSlot('target'));
   }
   
   /**
    * Show the modal for a specific operation
-   * @param {string} mode - 'in', 'out', or 'look'
+   * @param {string} mode - 'in', 'out', 'rekey' or 'look'
    * @param {Array} nftCollections - Available NFT collections
    * @param {Array} fungibles - Available fungible resources (with divisibility)
+   * @param {number|null} [stateVersion] - Ledger state version the data was read at
    */
-  show(mode, nftCollections, fungibles) {
+  show(mode, nftCollections, fungibles, stateVersion = null) {
     this.mode = mode;
     this.nftCollections = nftCollections;
     this.fungibles = fungibles;
+    this.setStateVersion(stateVersion);
     // Keep selectedNftData persistent across modes (do not reset to null)
     this.selectedResourcesList = [];
+    this.outBatch = [];
+    this.renderOutBatch();
+    this.targetNftData = null;
+    this.resetRiskConfirmation();
+    this.clearPrivacyWarnings();
 
     // Only clear cave balances and metadata for LOOK mode (fresh lookup)
     // Preserve balances for IN and OUT modes so we can track changes
@@ -98,6 +206,8 @@ export class ModalUI {
       this.hasLookedUp = false;
       this.caveBalancesData = {};
       this.caveResourceMetadata = {};
+      this.lookedUpNft = null;
+      this.balanceMismatches.clear();
     }
 
     switch (mode) {
@@ -135,11 +245,29 @@ export class ModalUI {
         }
         break;
 
+      case 'rekey':
+        this.modalTitle.textContent = 'MOVE TO NEW KEY';
+        this.resourceSectionTitle.textContent = 'WHAT MOVE?';
+        this.submitBtn.textContent = 'MOVE NOW';
+        this.resourceSection.classList.remove('hidden');
+        // Same as OUT: cave balances only after LOOK CAVE with the old key
+        if (this.hasLookedUp && Object.keys(this.caveBalancesData).length > 0) {
+          this.balancesSectionTitle.textContent = 'WHAT IN CAVE';
+          this.balancesSection.classList.remove('hidden');
+          this.renderBalancesDisplay();
+        } else {
+          this.balancesSectionTitle.textContent = '';
+          this.balancesSection.classList.add('hidden');
+          this.caveBalancesElement.innerHTML = '';
+        }
+        break;
+
       case 'look':
         this.modalTitle.textContent = 'LOOK IN CAVE';
         this.resourceSectionTitle.textContent = 'WHAT ME LOOK?';
         this.submitBtn.textContent = 'LOOK NOW';
         this.resourceSection.classList.remove('hidden');
+        this.lookAllBtn.classList.remove('hidden');
         // Never show balances in LOOK mode until LOOK CAVE completes
         this.balancesSectionTitle.textContent = ''; // Clear title
         this.balancesSection.classList.add('hidden');
@@ -147,26 +275,234 @@ export class ModalUI {
         break;
     }
 
+    if (mode !== 'look') {
+      this.lookAllBtn.classList.add('hidden');
+    }
+    this.addKeyBtn.classList.toggle('hidden', mode !== 'out');
+    this.destinationSection.classList.toggle('hidden', mode !== 'out');
+    this.splitSection.classList.toggle('hidden', mode !== 'out');
+    if (mode === 'out') this.renderDestinationOptions();
+
     this.nftSearch.value = '';
     this.resourceSearch.value = '';
     // Show the selected NFT if one exists, otherwise hide it
     if (this.selectedNftData) {
-      this.selectedNft.innerHTML = `
-        <img src="${getIconUrl(this.selectedNftData.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
-        <div class="info">
-          <div class="name">${escapeHtml(this.selectedNftData.name)}</div>
-          <div class="sub">${escapeHtml(formatNftId(this.selectedNftData.id))}</div>
-        </div>
-      `;
+      this.renderSelectedNftCard();
       this.selectedNft.classList.remove('hidden');
     } else {
       this.selectedNft.classList.add('hidden');
     }
+    this.renderTargetNftCard();
+    this.setNftPickSlot(mode === 'rekey' && this.selectedNftData ? 'target' : 'key');
     this.selectedResources.innerHTML = '';
 
+    this.preselectRemembered();
+    this.updateFeePreview();
     this.updateSubmitButton();
     this.modal.classList.remove('hidden');
   }
+
+  /**
+   * LOOK mode: pre-select resources the key registry remembers for the selected NFT
+   */
+  preselectRemembered() {
+    if (this.mode !== 'look' || !this.selectedNftData || !this.getRememberedResources) return;
+
+    for (const address of this.getRememberedResources(this.selectedNftData)) {
+      const alreadySelected = this.selectedResourcesList.some(r => r.resourceAddress === address);
+      if (!alreadySelected && this.fungibles.some(f => f.resourceAddress === address)) {
+        this.addResource(address);
+      }
+    }
+  }
+
+  /**
+   * Set the OUT CAVE fee rate used for previews
+   * @param {string|null} feeRate - Fee as a fraction (e.g. "0.001")
+   * @param {boolean} [confirmed] - false if the rate is the configured fallback
+   */
+  setFeeRate(feeRate, confirmed = true) {
+    this.feeRate = feeRate;
+    this.feeConfirmed = confirmed;
+  }
+  
+  /**
+   * Forget everything the modal knows (keys, cave balances, NFT data) and clear its DOM
+   * Used by the duress gesture
+   */
+  reset() {
+    this.mode = null;
+    this.nftCollections = [];
+    this.fungibles = [];
+    this.selectedNftData = null;
+    this.targetNftData = null;
+    this.nftPickSlot = 'key';
+    this.selectedResourcesList = [];
+    this.outBatch = [];
+    this.hasLookedUp = false;
+    this.caveBalancesData = {};
+    this.caveResourceMetadata = {};
+    this.feeRate = null;
+    this.feeConfirmed = false;
+    this.lookedUpNft = null;
+    this.balanceMismatches.clear();
+    this.nftVisibleCounts.clear();
+    this.nftData.clear();
+    this.resetRiskConfirmation();
+    this.clearPrivacyWarnings();
+
+    this.nftSearch.value = '';
+    this.resourceSearch.value = '';
+    this.nftDropdown.innerHTML = '';
+    this.resourceDropdown.innerHTML = '';
+    this.selectedNft.innerHTML = '';
+    this.selectedNft.classList.add('hidden');
+    this.targetNft.innerHTML = '';
+    this.targetNft.classList.add('hidden');
+    this.targetNftLabel.classList.add('hidden');
+    this.selectedResources.innerHTML = '';
+    this.caveBalancesElement.innerHTML = '';
+    this.balancesSectionTitle.textContent = '';
+    this.balancesSection.classList.add('hidden');
+    this.feeSummary.innerHTML = '';
+    this.feeSummary.classList.add('hidden');
+    this.outBatchElement.innerHTML = '';
+    this.outBatchElement.classList.add('hidden');
+    this.accounts = [];
+    this.accountAddress = null;
+    this.destinationSelect.innerHTML = '';
+    this.destinationInput.value = '';
+    this.destinationWarning.textContent = '';
+    this.destinationWarning.classList.add('hidden');
+    this.destinationSection.classList.add('hidden');
+    this.splitSection.classList.add('hidden');
+  }
+  
+  /**
+   * Show which ledger state the modal's data comes from
+   * @param {number|null} stateVersion
+   */
+  setStateVersion(stateVersion) {
+    if (stateVersion === null || stateVersion === undefined) {
+      this.stateVersionLabel.textContent = '';
+      this.stateVersionLabel.classList.add('hidden');
+      return;
+    }
+
+    this.stateVersionLabel.textContent = `AS OF STATE VERSION ${stateVersion}`;
+    this.stateVersionLabel.classList.remove('hidden');
+  }
+  
+  /**
+   * Accounts for the OUT CAVE destination picker
+   * @param {Array<{address: string, label?: string}>} accounts - Wallet's shared accounts
+   * @param {string} accountAddress - Signing account (default destination)
+   */
+  setAccounts(accounts, accountAddress) {
+    this.accounts = accounts;
+    this.accountAddress = accountAddress;
+  }
+
+  renderDestinationOptions() {
+    const options = this.accounts.map((account, index) => {
+      const label = account.label || `ACCOUNT ${index + 1}`;
+      const selected = account.address === this.accountAddress ? 'selected' : '';
+      return `<option value="${escapeHtml(account.address)}" ${selected}>${escapeHtml(label)} · ${escapeHtml(shortenAddress(account.address))}</option>`;
+    });
+    options.push('<option value="">OTHER ADDRESS...</option>');
+
+    this.destinationSelect.innerHTML = options.join('');
+    this.destinationInput.value = '';
+    this.updateDestination();
+  }
+
+  /**
+   * Where OUT CAVE sends the funds
+   * @returns {{address: string|null, error: string|null, shared: boolean}}
+   */
+  getDestination() {
+    const picked = this.destinationSelect.value;
+    if (picked) {
+      return { address: picked, error: null, shared: true };
+    }
+
+    const typed = this.destinationInput.value.trim();
+    if (!typed) {
+      return { address: null, error: null, shared: false };
+    }
+
+    try {
+      validateAddress(typed, 'account');
+    } catch (e) {
+      return { address: null, error: e.message, shared: false };
+    }
+
+    return {
+      address: typed,
+      error: null,
+      shared: this.accounts.some(account => account.address === typed)
+    };
+  }
+
+  updateDestination() {
+    const manual = this.destinationSelect.value === '';
+    this.destinationInput.classList.toggle('hidden', !manual);
+
+    const destination = this.getDestination();
+    let warning = '';
+    let type = 'error';
+
+    if (destination.error) {
+      warning = `ME NO KNOW THIS ADDRESS! ${destination.error}`;
+    } else if (destination.address && !destination.shared) {
+      warning = 'THIS ACCOUNT NOT SHARED FROM YOUR WALLET! CHECK ADDRESS - WRONG ADDRESS, STUFF GONE.';
+    } else if (destination.address && destination.address !== this.accountAddress) {
+      warning = 'STUFF GO TO OTHER ACCOUNT, NOT THE ONE WITH KEY.';
+      type = 'info';
+    }
+
+    this.destinationWarning.textContent = warning;
+    this.destinationWarning.classList.toggle('info', type === 'info');
+    this.destinationWarning.classList.toggle('hidden', !warning);
+
+    this.updateSubmitButton();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !this.modal.classList.contains('hidden');
+  }
+
+  /**
+   * Swap in reloaded key/token lists without losing the user's selections
+   * Selected fungibles pick up new wallet balances; the pickers re-render next time they open
+   * @param {Array} nftCollections
+   * @param {Array} fungibles
+   * @param {number|null} stateVersion
+   */
+  refreshData(nftCollections, fungibles, stateVersion) {
+    this.nftCollections = nftCollections;
+    this.fungibles = fungibles;
+    this.nftVisibleCounts.clear();
+    this.setStateVersion(stateVersion);
+
+    if (this.mode === 'in') {
+      for (const resource of this.selectedResourcesList) {
+        if (resource.kind === 'nonFungible') continue;
+        const fresh = fungibles.find(f => f.resourceAddress === resource.resourceAddress);
+        resource.maxAmount = fresh?.amount || '0';
+      }
+
+      if (!this.balancesSection.classList.contains('hidden')) {
+        this.renderWalletBalancesDisplay();
+      }
+    }
+
+    this.renderSelectedResources();
+    this.updateSubmitButton();
+  }
   
   hide() {
     this.modal.classList.add('hidden');
@@ -180,7 +516,8 @@ export class ModalUI {
   }
   
   filterNfts() {
-    const query = this.nftSearch.value.toLowerCase().trim();
+    const rawQuery = this.nftSearch.value.trim();
+    const query = rawQuery.toLowerCase();
     
     if (!query) {
       this.renderNftDropdown(this.nftCollections);
@@ -190,26 +527,82 @@ export class ModalUI {
         (c.symbol || '').toLowerCase().includes(query) ||
         c.resourceAddress.toLowerCase().includes(query)
       );
-      this.renderNftDropdown(filtered);
+
+      if (filtered.length > 0) {
+        this.renderNftDropdown(filtered);
+      } else {
+        // No collection matches - treat the query as an exact NFT local ID
+        this.searchNftId(rawQuery);
+      }
     }
     
     this.nftDropdown.classList.remove('hidden');
   }
+
+  /**
+   * Find an NFT by exact local ID, paging through every collection if needed
+   * @param {string} query - "#12#", "<name>", or a bare "12" / "name"
+   */
+  async searchNftId(query) {
+    const candidates = nftIdCandidates(query);
+    const matches = (collection) => collection.nfIds.some(id => candidates.includes(parseNftLocalId(id)));
+    const idFilter = (id) => candidates.includes(parseNftLocalId(id));
+
+    let found = this.nftCollections.filter(matches);
+
+    if (found.length === 0 && this.onLoadMoreNfts) {
+      this.nftDropdown.innerHTML = '<div class="balance-loading"><span class="loading"></span> ME DIG FOR NFT...</div>';
+
+      try {
+        for (const collection of this.nftCollections) {
+          while (!matches(collection) && collection.nextCursor) {
+            await this.onLoadMoreNfts(collection);
+            // User typed something else meanwhile - stop digging
+            if (this.nftSearch.value.trim() !== query) return;
+          }
+          if (matches(collection)) break;
+        }
+      } catch (error) {
+        console.error('Failed to page NFT IDs:', error);
+      }
+
+      found = this.nftCollections.filter(matches);
+    }
+
+    this.renderNftDropdown(found, idFilter);
+  }
   
-  renderNftDropdown(collections) {
+  /**
+   * @param {Array} collections - NFT collections to list
+   * @param {function(object): boolean} [idFilter] - Only show IDs passing this (search results)
+   */
+  renderNftDropdown(collections, idFilter = null) {
     if (collections.length === 0) {
       this.nftDropdown.innerHTML = '<div class="dropdown-empty">NO NFT HERE</div>';
       return;
     }
     
     let html = '';
+    const shown = [];
+
+    // Safer keys first
+    const sorted = [...collections].sort((a, b) =>
+      KEY_SAFETY_ORDER.indexOf(a.keySafety || 'transferable') -
+      KEY_SAFETY_ORDER.indexOf(b.keySafety || 'transferable')
+    );
     
-    for (const collection of collections) {
-      const idsToShow = collection.nfIds.slice(0, 5);
+    for (const collection of sorted) {
+      const visible = this.nftVisibleCounts.get(collection.vaultAddress) || NFT_PAGE_SIZE;
+      const idsToShow = idFilter
+        ? collection.nfIds.filter(idFilter)
+        : collection.nfIds.slice(0, visible);
       
+      const shownIds = [];
+
       for (const id of idsToShow) {
         const nftId = parseNftLocalId(id);
-        const displayId = formatNftId(id);
+        const display = this.getNftDisplay(collection.resourceAddress, nftId, collection.name, collection.iconUrl);
+        shownIds.push(nftId);
         
         html += `
           <div class="dropdown-item" 
@@ -217,20 +610,28 @@ export class ModalUI {
                data-id="${escapeHtml(nftId)}"
                data-name="${escapeHtml(collection.name || '')}"
                data-icon="${escapeHtml(collection.iconUrl || '')}">
-            <img src="${getIconUrl(collection.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
+            <img src="${escapeHtml(getIconUrl(display.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
             <div class="info">
-              <div class="name">${escapeHtml(collection.name || 'NO NAME NFT')}</div>
-              <div class="sub">${escapeHtml(displayId)}</div>
+              <div class="name">${escapeHtml(display.name)}</div>
+              <div class="sub">${escapeHtml(display.sub)}</div>
+              <div class="desc">${escapeHtml(display.description)}</div>
             </div>
+            ${keySafetyBadge(collection.keySafety)}
           </div>
         `;
       }
+
+      if (shownIds.length > 0) {
+        shown.push({ collection: collection.resourceAddress, ids: shownIds });
+      }
       
-      if (collection.totalCount > 5) {
+      const remaining = collection.totalCount - idsToShow.length;
+
+      if (!idFilter && remaining > 0) {
         html += `
-          <div class="dropdown-item" style="opacity: 0.6; cursor: default;">
+          <div class="dropdown-item more-item" data-vault="${escapeHtml(collection.vaultAddress)}">
             <div class="info">
-              <div class="sub">+ ${collection.totalCount - 5} MORE IN ${escapeHtml(collection.name || 'PILE')}</div>
+              <div class="sub">+ ${remaining} MORE IN ${escapeHtml(collection.name || 'PILE')}</div>
             </div>
           </div>
         `;
@@ -249,33 +650,268 @@ export class ModalUI {
         );
       });
     });
+
+    this.nftDropdown.querySelectorAll('.more-item').forEach(el => {
+      el.addEventListener('click', (e) => {
+        // Row is replaced on re-render; keep the outside-click handler from closing the dropdown
+        e.stopPropagation();
+        this.showMoreNfts(el, el.dataset.vault);
+      });
+    });
+
+    this.loadNftData(shown);
+  }
+
+  /**
+   * Reveal the next page of IDs for a collection, fetching from the Gateway when needed
+   * @param {HTMLElement} rowEl - The "+ N MORE" row
+   * @param {string} vaultAddress
+   */
+  async showMoreNfts(rowEl, vaultAddress) {
+    const collection = this.nftCollections.find(c => c.vaultAddress === vaultAddress);
+    if (!collection || rowEl.dataset.loading) return;
+
+    const visible = (this.nftVisibleCounts.get(vaultAddress) || NFT_PAGE_SIZE) + NFT_PAGE_SIZE;
+
+    if (collection.nfIds.length < visible && collection.nextCursor && this.onLoadMoreNfts) {
+      rowEl.dataset.loading = 'true';
+      rowEl.querySelector('.sub').innerHTML = '<span class="loading"></span> ME DIG...';
+
+      try {
+        await this.onLoadMoreNfts(collection);
+      } catch (error) {
+        console.error('Failed to load more NFT IDs:', error);
+        rowEl.querySelector('.sub').textContent = 'ME NO DIG! CLICK TRY AGAIN';
+        delete rowEl.dataset.loading;
+        return;
+      }
+    }
+
+    this.nftVisibleCounts.set(vaultAddress, visible);
+    this.renderNftDropdown(this.nftCollections);
   }
   
+  /**
+   * Per-NFT display data, falling back to the collection's name and icon
+   * @param {string} collection - NFT resource address
+   * @param {string} id - NFT local ID
+   * @param {string} collectionName
+   * @param {string|null} collectionIcon
+   * @returns {{name: string, iconUrl: string|null, description: string, sub: string}}
+   */
+  getNftDisplay(collection, id, collectionName, collectionIcon) {
+    const data = this.nftData.get(`${collection}:${id}`);
+
+    return {
+      name: data?.name || collectionName || 'NO NAME NFT',
+      iconUrl: data?.imageUrl || collectionIcon || null,
+      description: data?.description || '',
+      // Keep the collection name visible once the NFT shows its own name
+      sub: data?.name && collectionName ? `${collectionName} · ${formatNftId(id)}` : formatNftId(id)
+    };
+  }
+
+  renderSelectedNftCard() {
+    const { collection, id, name, iconUrl } = this.selectedNftData;
+    const display = this.getNftDisplay(collection, id, name, iconUrl);
+
+    this.selectedNft.innerHTML = `
+      <img src="${escapeHtml(getIconUrl(display.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+      <div class="info">
+        <div class="name">${escapeHtml(display.name)}</div>
+        <div class="sub">${escapeHtml(display.sub)}</div>
+        ${display.description ? `<div class="desc">${escapeHtml(display.description)}</div>` : ''}
+      </div>
+      ${keySafetyBadge(this.selectedNftData.keySafety)}
+    `;
+  }
+
+  /**
+   * Load per-NFT data for the IDs shown in the key picker, then update them in place
+   * @param {Array<{collection: string, ids: string[]}>} shown
+   */
+  async loadNftData(shown) {
+    if (!this.onLoadNftData) return;
+
+    for (const { collection, ids } of shown) {
+      const missing = ids.filter(id => !this.nftData.has(`${collection}:${id}`));
+      if (missing.length === 0) continue;
+
+      try {
+        const data = await this.onLoadNftData(collection, missing);
+        for (const [id, nftData] of Object.entries(data)) {
+          this.nftData.set(`${collection}:${id}`, nftData);
+        }
+      } catch (error) {
+        console.warn('Failed to load NFT data:', error);
+        continue;
+      }
+
+      this.updateNftItems(collection);
+    }
+  }
+
+  /**
+   * Refresh rendered key picker rows and the selected card for one collection
+   * @param {string} collection - NFT resource address
+   */
+  updateNftItems(collection) {
+    this.nftDropdown.querySelectorAll('.dropdown-item[data-collection]').forEach(el => {
+      if (el.dataset.collection !== collection) return;
+
+      const display = this.getNftDisplay(collection, el.dataset.id, el.dataset.name, el.dataset.icon || null);
+      el.querySelector('img').src = getIconUrl(display.iconUrl);
+      el.querySelector('.name').textContent = display.name;
+      el.querySelector('.sub').textContent = display.sub;
+
+      const desc = el.querySelector('.desc');
+      if (desc) desc.textContent = display.description;
+    });
+
+    if (this.selectedNftData?.collection === collection) {
+      this.renderSelectedNftCard();
+    }
+  }
+
   selectNft(collection, id, name, iconUrl) {
+    if (this.mode === 'rekey' && this.nftPickSlot === 'target') {
+      this.selectTargetNft(collection, id, name, iconUrl);
+      return;
+    }
+
+    if (this.isKeyInBatch({ collection, id })) {
+      this.keyWarning.textContent = 'THIS KEY ALREADY IN BATCH. TAKE IT OUT OF BATCH FIRST.';
+      this.keyWarning.classList.remove('hidden');
+      this.nftDropdown.classList.add('hidden');
+      return;
+    }
+
+    const collectionData = this.nftCollections.find(c => c.resourceAddress === collection);
+
     this.selectedNftData = {
       collection,
       id,
       name: name || 'NO NAME',
-      iconUrl: iconUrl || null
+      iconUrl: iconUrl || null,
+      keySafety: collectionData?.keySafety || 'transferable'
     };
+    this.resetRiskConfirmation();
     
-    this.selectedNft.innerHTML = `
-      <img src="${getIconUrl(iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
-      <div class="info">
-        <div class="name">${escapeHtml(this.selectedNftData.name)}</div>
-        <div class="sub">${escapeHtml(formatNftId(id))}</div>
-      </div>
-    `;
+    this.renderSelectedNftCard();
     this.selectedNft.classList.remove('hidden');
+
+    // The key can't also go into the cave
+    const keyIndex = this.selectedResourcesList.findIndex(r =>
+      r.kind === 'nonFungible' && this.isKeyNft(r.resourceAddress, r.nfId)
+    );
+    if (keyIndex !== -1) {
+      this.selectedResourcesList.splice(keyIndex, 1);
+      this.renderSelectedResources();
+    }
     
     this.nftDropdown.classList.add('hidden');
     this.nftSearch.value = '';
-    
+
+    // REKEY: old key picked, picker moves on to the new key
+    if (this.mode === 'rekey') {
+      if (this.isTargetSameAsKey()) {
+        this.targetNftData = null;
+        this.renderTargetNftCard();
+      }
+      if (!this.targetNftData) this.setNftPickSlot('target');
+    }
+
+    this.preselectRemembered();
+    this.updateSubmitButton();
+  }
+
+  /**
+   * REKEY: pick the key the funds move to
+   * @param {string} collection
+   * @param {string} id
+   * @param {string} name
+   * @param {string} iconUrl
+   */
+  selectTargetNft(collection, id, name, iconUrl) {
+    this.nftDropdown.classList.add('hidden');
+    this.nftSearch.value = '';
+
+    if (this.selectedNftData?.collection === collection && this.selectedNftData?.id === id) {
+      this.keyWarning.textContent = 'NEW KEY SAME AS OLD KEY. PICK OTHER NFT.';
+      this.keyWarning.classList.remove('hidden');
+      return;
+    }
+
+    const collectionData = this.nftCollections.find(c => c.resourceAddress === collection);
+
+    this.targetNftData = {
+      collection,
+      id,
+      name: name || 'NO NAME',
+      iconUrl: iconUrl || null,
+      keySafety: collectionData?.keySafety || 'transferable'
+    };
+    this.resetRiskConfirmation();
+    this.renderTargetNftCard();
+
+    if (!this.selectedNftData) this.setNftPickSlot('key');
+
     this.updateSubmitButton();
   }
+
+  /**
+   * @returns {boolean}
+   */
+  isTargetSameAsKey() {
+    return Boolean(this.targetNftData && this.selectedNftData) &&
+      this.targetNftData.collection === this.selectedNftData.collection &&
+      this.targetNftData.id === this.selectedNftData.id;
+  }
+
+  renderTargetNftCard() {
+    const visible = this.mode === 'rekey';
+    this.targetNftLabel.classList.toggle('hidden', !visible);
+
+    if (!visible || !this.targetNftData) {
+      this.targetNft.innerHTML = '';
+      this.targetNft.classList.add('hidden');
+      return;
+    }
+
+    const { collection, id, name, iconUrl } = this.targetNftData;
+    const display = this.getNftDisplay(collection, id, name, iconUrl);
+
+    this.targetNft.innerHTML = `
+      <img src="${escapeHtml(getIconUrl(display.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+      <div class="info">
+        <div class="name">${escapeHtml(display.name)}</div>
+        <div class="sub">${escapeHtml(display.sub)}</div>
+      </div>
+      ${keySafetyBadge(this.targetNftData.keySafety)}
+    `;
+    this.targetNft.classList.remove('hidden');
+  }
+
+  /**
+   * REKEY: choose which key the NFT picker fills
+   * @param {'key'|'target'} slot
+   */
+  setNftPickSlot(slot) {
+    const rekey = this.mode === 'rekey';
+    this.nftPickSlot = rekey ? slot : 'key';
+
+    this.selectedNft.classList.toggle('picking', rekey && this.nftPickSlot === 'key');
+    this.targetNft.classList.toggle('picking', rekey && this.nftPickSlot === 'target');
+
+    if (!rekey) {
+      this.nftSearch.placeholder = 'FIND NFT...';
+    } else {
+      this.nftSearch.placeholder = this.nftPickSlot === 'target' ? 'FIND NEW KEY...' : 'FIND OLD KEY...';
+    }
+  }
   
   showResourceDropdown() {
-    this.renderResourceDropdown(this.fungibles);
+    this.renderResourceDropdown(this.fungibles, this.getDepositableNfts());
     this.resourceDropdown.classList.remove('hidden');
   }
   
@@ -283,24 +919,75 @@ export class ModalUI {
     const query = this.resourceSearch.value.toLowerCase().trim();
     
     if (!query) {
-      this.renderResourceDropdown(this.fungibles);
+      this.renderResourceDropdown(this.fungibles, this.getDepositableNfts());
     } else {
       const filtered = this.fungibles.filter(f =>
         (f.symbol || '').toLowerCase().includes(query) ||
         (f.name || '').toLowerCase().includes(query) ||
         f.resourceAddress.toLowerCase().includes(query)
       );
-      this.renderResourceDropdown(filtered);
+      const filteredNfts = this.getDepositableNfts().filter(n =>
+        (n.collection.name || '').toLowerCase().includes(query) ||
+        (n.collection.symbol || '').toLowerCase().includes(query) ||
+        n.collection.resourceAddress.toLowerCase().includes(query) ||
+        n.id.toLowerCase().includes(query)
+      );
+      this.renderResourceDropdown(filtered, filteredNfts);
     }
     
     this.resourceDropdown.classList.remove('hidden');
   }
   
-  renderResourceDropdown(fungibles) {
-    const selectedAddresses = new Set(this.selectedResourcesList.map(r => r.resourceAddress));
+  /**
+   * NFTs that can go into the cave (IN mode only)
+   * The NFT currently used as key is never offered
+   * @returns {Array<{collection: object, id: string}>}
+   */
+  getDepositableNfts() {
+    if (this.mode !== 'in') return [];
+
+    const selectedKeys = new Set(
+      this.selectedResourcesList
+        .filter(r => r.kind === 'nonFungible')
+        .map(r => `${r.resourceAddress}:${r.nfId}`)
+    );
+
+    const result = [];
+
+    for (const collection of this.nftCollections) {
+      for (const rawId of collection.nfIds) {
+        const id = parseNftLocalId(rawId);
+
+        if (this.isKeyNft(collection.resourceAddress, id)) continue;
+        if (selectedKeys.has(`${collection.resourceAddress}:${id}`)) continue;
+
+        result.push({ collection, id });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {string} collection - NFT resource address
+   * @param {string} id - NFT local ID
+   * @returns {boolean} - True if this NFT is the selected cave key
+   */
+  isKeyNft(collection, id) {
+    return this.selectedNftData !== null &&
+      this.selectedNftData.collection === collection &&
+      this.selectedNftData.id === id;
+  }
+
+  renderResourceDropdown(fungibles, nfts = []) {
+    const selectedAddresses = new Set(
+      this.selectedResourcesList
+        .filter(r => r.kind !== 'nonFungible')
+        .map(r => r.resourceAddress)
+    );
     const available = fungibles.filter(f => !selectedAddresses.has(f.resourceAddress));
     
-    if (available.length === 0) {
+    if (available.length === 0 && nfts.length === 0) {
       this.resourceDropdown.innerHTML = '<div class="dropdown-empty">NO TOKEN HERE</div>';
       return;
     }
@@ -314,7 +1001,7 @@ export class ModalUI {
 
       html += `
         <div class="dropdown-item" data-address="${escapeHtml(f.resourceAddress)}">
-          <img src="${getIconUrl(f.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
+          <img src="${escapeHtml(getIconUrl(f.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
           <div class="info">
             <div class="name">${escapeHtml(tokenName)}</div>
             <div class="sub">${escapeHtml(tokenTicker)}</div>
@@ -323,12 +1010,30 @@ export class ModalUI {
         </div>
       `;
     }
+
+    for (const { collection, id } of nfts) {
+      html += `
+        <div class="dropdown-item" 
+             data-address="${escapeHtml(collection.resourceAddress)}" 
+             data-nf-id="${escapeHtml(id)}">
+          <img src="${escapeHtml(getIconUrl(collection.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+          <div class="info">
+            <div class="name">${escapeHtml(collection.name || 'NO NAME NFT')}</div>
+            <div class="sub">NFT ${escapeHtml(formatNftId(id))}</div>
+          </div>
+        </div>
+      `;
+    }
     
     this.resourceDropdown.innerHTML = html;
     
     this.resourceDropdown.querySelectorAll('.dropdown-item').forEach(el => {
       el.addEventListener('click', () => {
-        this.addResource(el.dataset.address);
+        if (el.dataset.nfId) {
+          this.addNonFungibleResource(el.dataset.address, el.dataset.nfId);
+        } else {
+          this.addResource(el.dataset.address);
+        }
       });
     });
   }
@@ -338,6 +1043,7 @@ export class ModalUI {
     if (!data) return;
 
     const resource = {
+      kind: 'fungible',
       resourceAddress: address,
       amount: '',
       maxAmount: data.amount,
@@ -356,12 +1062,42 @@ export class ModalUI {
     this.updateSubmitButton();
   }
 
-  addResourceFromBalance(address) {
-    // Check if already selected
-    if (this.selectedResourcesList.some(r => r.resourceAddress === address)) {
-      return; // Already selected
-    }
-
+  /**
+   * Add a single NFT to deposit (IN mode)
+   * @param {string} address - NFT collection resource address
+   * @param {string} nfId - NFT local ID in manifest format
+   */
+  addNonFungibleResource(address, nfId) {
+    const collection = this.nftCollections.find(c => c.resourceAddress === address);
+    if (!collection || this.isKeyNft(address, nfId)) return;
+
+    const resource = {
+      kind: 'nonFungible',
+      resourceAddress: address,
+      nfId,
+      // One NFT counts as 1 unit of its resource
+      amount: '1',
+      divisibility: 0,
+      symbol: collection.symbol || collection.name || 'NFT',
+      name: collection.name || '',
+      iconUrl: collection.iconUrl
+    };
+
+    this.selectedResourcesList.push(resource);
+    this.renderSelectedResources();
+
+    this.resourceDropdown.classList.add('hidden');
+    this.resourceSearch.value = '';
+
+    this.updateSubmitButton();
+  }
+
+  addResourceFromBalance(address) {
+    // Check if already selected
+    if (this.selectedResourcesList.some(r => r.kind !== 'nonFungible' && r.resourceAddress === address)) {
+      return; // Already selected
+    }
+
     // Get metadata from cave resource metadata
     const meta = this.caveResourceMetadata[address] || {};
 
@@ -374,9 +1110,10 @@ export class ModalUI {
     let displayIcon = meta.iconUrl || fungibleData?.iconUrl;
 
     const resource = {
+      kind: 'fungible',
       resourceAddress: address,
       amount: '',
-      maxAmount: this.caveBalancesData[address] || '0',
+      maxAmount: this.caveBalanceOf(address) || '0',
       divisibility: fungibleData?.divisibility ?? meta.divisibility ?? 18,
       symbol: displaySymbol,
       name: displayName,
@@ -396,33 +1133,23 @@ export class ModalUI {
     if (value.endsWith('.')) {
       const integerPart = value.slice(0, -1);
       if (integerPart === '') return '0.';
-      const num = parseFloat(integerPart);
-      if (isNaN(num)) return value;
-      return num.toLocaleString(undefined, { maximumFractionDigits: 0 }) + '.';
+      return formatIntegerDigits(integerPart) + '.';
     }
 
     // Check if we have a decimal part
     if (value.includes('.')) {
-      const parts = value.split('.');
-      const integerPart = parts[0];
-      const decimalPart = parts[1];
-
-      const num = parseFloat(integerPart);
-      if (isNaN(num)) return value;
-
-      const formattedInteger = num.toLocaleString(undefined, { maximumFractionDigits: 0 });
-      return formattedInteger + '.' + decimalPart;
+      const [integerPart, decimalPart] = value.split('.');
+      return formatIntegerDigits(integerPart || '0') + '.' + decimalPart;
     }
 
-    // No decimal point, just format the number
-    const num = parseFloat(value);
-    if (isNaN(num)) return value;
-    return num.toLocaleString(undefined, { maximumFractionDigits: 0 });
+    // No decimal point, just group the digits
+    return formatIntegerDigits(value);
   }
 
   renderSelectedResources() {
     if (this.selectedResourcesList.length === 0) {
       this.selectedResources.innerHTML = '';
+      this.updateFeePreview();
       return;
     }
     
@@ -430,14 +1157,34 @@ export class ModalUI {
     
     for (let i = 0; i < this.selectedResourcesList.length; i++) {
       const r = this.selectedResourcesList[i];
+
+      // NFT deposits: fixed single item, no amount to type
+      if (r.kind === 'nonFungible') {
+        html += `
+          <div class="resource-item" data-index="${i}">
+            <img src="${escapeHtml(getIconUrl(r.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+            <div class="info">
+              <div class="name">${escapeHtml(r.name || r.symbol || 'NO NAME NFT')}</div>
+              <div class="sub">NFT ${escapeHtml(formatNftId(r.nfId))}</div>
+            </div>
+            <button class="remove-btn" data-index="${i}">×</button>
+          </div>
+        `;
+        continue;
+      }
+
       const showAmountInput = this.mode !== 'look';
       
       // For OUT mode: show cave balance if available, otherwise show hint
       let balanceDisplay = '';
-      if (this.mode === 'out') {
-        const caveBalance = this.caveBalancesData[r.resourceAddress];
-        if (caveBalance !== undefined && caveBalance !== null) {
+      if (this.takesFromCave()) {
+        const caveBalance = this.caveBalanceOf(r.resourceAddress);
+        if (caveBalance !== null) {
           balanceDisplay = `IN CAVE: ${formatAmount(caveBalance)}`;
+          const allFee = this.feeRate ? calculateWithdrawalFee(caveBalance, this.feeRate) : null;
+          if (allFee) {
+            balanceDisplay += ` · ALL GIVE: ${formatAmount(allFee.net, r.divisibility)}`;
+          }
         } else {
           balanceDisplay = 'LOOK CAVE TO KNOW';
         }
@@ -449,7 +1196,7 @@ export class ModalUI {
       const addressShort = r.resourceAddress.slice(0, 20) + '...';
       
       // Show ALL button only for OUT mode when we know the cave balance
-      const showAllButton = this.mode === 'out' && this.caveBalancesData[r.resourceAddress] !== undefined && this.caveBalancesData[r.resourceAddress] !== null;
+      const showAllButton = this.takesFromCave() && this.caveBalanceOf(r.resourceAddress) !== null;
       
       // Format the amount for display in the input field
       const displayAmount = r.amount ? formatAmount(r.amount, r.divisibility) : '';
@@ -459,14 +1206,15 @@ export class ModalUI {
 
       html += `
         <div class="resource-item" data-index="${i}">
-          <img src="${getIconUrl(r.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
+          <img src="${escapeHtml(getIconUrl(r.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
           <div class="info">
             <div class="name">${escapeHtml(tokenName)}</div>
             <div class="sub" style="opacity: 0.7;">${escapeHtml(tokenTicker)}</div>
             ${showAmountInput ? `<div class="balance">${escapeHtml(balanceDisplay)}</div>` : `<div class="sub">${escapeHtml(addressShort)}</div>`}
+            ${this.takesFromCave() ? `<div class="fee-line" data-index="${i}"></div>` : ''}
           </div>
           ${showAmountInput ? `
-            ${showAllButton ? `<button class="max-btn" data-index="${i}">ALL</button>` : ''}
+            ${showAllButton ? `<button class="max-btn" data-index="${i}" title="TAKE ALL, GET ALL MINUS FEE">ALL</button>` : ''}
             ${this.mode === 'in' ? `<button class="max-btn" data-index="${i}">ALL</button>` : ''}
             <input type="text"
                    value="${escapeHtml(displayAmount)}"
@@ -505,10 +1253,9 @@ export class ModalUI {
         const resource = this.selectedResourcesList[idx];
         let maxAmount = null;
 
-        if (this.mode === 'out') {
+        if (this.takesFromCave()) {
           // For OUT mode, check against cave balance if known
-          const caveBalance = this.caveBalancesData[resource.resourceAddress];
-          maxAmount = (caveBalance !== undefined && caveBalance !== null) ? caveBalance : null;
+          maxAmount = this.caveBalanceOf(resource.resourceAddress);
         } else if (this.mode === 'in') {
           // For IN mode, check against wallet balance
           maxAmount = resource.maxAmount;
@@ -523,6 +1270,8 @@ export class ModalUI {
           e.target.classList.add('invalid');
         }
 
+        this.updateFeePreview();
+
         // Use requestAnimationFrame to ensure DOM is updated before validation
         requestAnimationFrame(() => {
           this.updateSubmitButton();
@@ -537,8 +1286,8 @@ export class ModalUI {
         
         // For OUT mode, use cave balance; for IN mode, use wallet balance
         let maxAmount;
-        if (this.mode === 'out') {
-          maxAmount = this.caveBalancesData[resource.resourceAddress] || '0';
+        if (this.takesFromCave()) {
+          maxAmount = this.caveBalanceOf(resource.resourceAddress) || '0';
         } else {
           maxAmount = resource.maxAmount;
         }
@@ -557,6 +1306,62 @@ export class ModalUI {
         this.updateSubmitButton();
       });
     });
+
+    this.updateFeePreview();
+  }
+
+  /**
+   * Show gross / fee / net for each OUT CAVE row and in the footer summary
+   */
+  updateFeePreview() {
+    if (!this.takesFromCave() || !this.feeRate) {
+      this.feeSummary.classList.add('hidden');
+      this.feeSummary.innerHTML = '';
+      return;
+    }
+
+    let summaryRows = '';
+
+    // Parked keys first (no per-row fee line, they are not on screen)
+    for (const r of this.outBatch.flatMap(entry => entry.resources)) {
+      const breakdown = calculateWithdrawalFee(r.amount, this.feeRate);
+      if (!breakdown) continue;
+
+      summaryRows += `
+        <div class="fee-row">
+          <span>${escapeHtml(r.symbol)}: ${escapeHtml(formatAmount(breakdown.gross, r.divisibility))} − ${escapeHtml(formatAmount(breakdown.fee, r.divisibility))}</span>
+          <span class="net">GET ${escapeHtml(formatAmount(breakdown.net, r.divisibility))}</span>
+        </div>
+      `;
+    }
+
+    this.selectedResourcesList.forEach((r, i) => {
+      const line = this.selectedResources.querySelector(`.fee-line[data-index="${i}"]`);
+      const breakdown = calculateWithdrawalFee(r.amount, this.feeRate);
+
+      if (!breakdown) {
+        if (line) line.textContent = '';
+        return;
+      }
+
+      const fee = formatAmount(breakdown.fee, r.divisibility);
+      const net = formatAmount(breakdown.net, r.divisibility);
+
+      if (line) line.textContent = `FEE${this.feeConfirmed ? '' : ' (NOT CONFIRMED)'}: ${fee} · YOU GET: ${net}`;
+
+      summaryRows += `
+        <div class="fee-row">
+          <span>${escapeHtml(r.symbol)}: ${escapeHtml(formatAmount(breakdown.gross, r.divisibility))} − ${escapeHtml(fee)}</span>
+          <span class="net">GET ${escapeHtml(net)}</span>
+        </div>
+      `;
+    });
+
+    this.feeSummary.innerHTML = `
+      <div class="fee-title">CAVE FEE: ${escapeHtml(formatFeeRate(this.feeRate))}${this.feeConfirmed ? '' : ' · FEE NOT CONFIRMED (CAVE NO SAY, ME USE USUAL FEE)'}</div>
+      ${summaryRows}
+    `;
+    this.feeSummary.classList.remove('hidden');
   }
   
   showBalancesLoading() {
@@ -567,6 +1372,10 @@ export class ModalUI {
   renderBalances(balances, resourceMetadata) {
     this.hasLookedUp = true;
     this.caveBalancesData = balances; // Store for ALL button
+    this.lookedUpNft = this.selectedNftData
+      ? { collection: this.selectedNftData.collection, id: this.selectedNftData.id }
+      : null;
+    this.balanceMismatches.clear();
 
     // Merge new metadata with existing metadata to preserve all resources
     this.caveResourceMetadata = { ...this.caveResourceMetadata, ...resourceMetadata };
@@ -593,18 +1402,20 @@ export class ModalUI {
       const meta = this.caveResourceMetadata[address] || {};
       const tokenName = meta.name || meta.symbol || 'UNKNOWN TOKEN';
       const tokenTicker = meta.symbol || '';
-      const isZero = amount === null || amount === '0' || parseFloat(amount) === 0;
+      const isZero = amount === null || !isDecimal(amount) || isZeroDecimal(amount);
 
       // Make clickable ONLY in OUT mode and not zero (not in LOOK mode)
-      const isClickable = this.mode === 'out' && !isZero;
+      const isClickable = this.takesFromCave() && !isZero;
       const clickableClass = isClickable ? 'clickable' : '';
       const clickableAttr = isClickable ? `data-address="${escapeHtml(address)}"` : '';
+      const mismatch = this.balanceMismatches.has(address);
 
       html += `
-        <div class="balance-item ${clickableClass}" ${clickableAttr}>
-          <img src="${getIconUrl(meta.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
+        <div class="balance-item ${clickableClass} ${mismatch ? 'mismatch' : ''}" ${clickableAttr}>
+          <img src="${escapeHtml(getIconUrl(meta.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
           <div class="token-info">
             <div class="name">${escapeHtml(tokenName)}</div>
+            ${mismatch ? '<div class="mismatch-note">CAVE COUNT DIFFERENT FROM WHAT YOU SAY!</div>' : ''}
             <div class="ticker" style="opacity: 0.7; font-size: 0.9em;">${escapeHtml(tokenTicker)}</div>
           </div>
           <span class="amount ${isZero ? 'zero' : ''}">
@@ -617,7 +1428,7 @@ export class ModalUI {
     this.caveBalancesElement.innerHTML = html;
 
     // Add click handlers ONLY for OUT mode (not LOOK mode)
-    if (this.mode === 'out') {
+    if (this.takesFromCave()) {
       this.caveBalancesElement.querySelectorAll('.balance-item.clickable').forEach(el => {
         el.addEventListener('click', () => {
           const address = el.dataset.address;
@@ -640,7 +1451,7 @@ export class ModalUI {
     for (const fungible of this.fungibles) {
       const displayName = fungible.symbol || fungible.name || 'NO NAME';
       const amount = fungible.amount || '0';
-      const isZero = amount === '0' || parseFloat(amount) === 0;
+      const isZero = !isDecimal(amount) || isZeroDecimal(amount);
 
       // Make clickable if not zero
       const isClickable = !isZero;
@@ -649,7 +1460,7 @@ export class ModalUI {
 
       html += `
         <div class="balance-item ${clickableClass}" ${clickableAttr}>
-          <img src="${getIconUrl(fungible.iconUrl)}" alt="" onerror="this.style.visibility='hidden'">
+          <img src="${escapeHtml(getIconUrl(fungible.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
           <span class="name">${escapeHtml(displayName)}</span>
           <span class="amount ${isZero ? 'zero' : ''}">
             ${formatAmount(amount)}
@@ -671,47 +1482,198 @@ export class ModalUI {
     });
   }
   
+  /**
+   * Apply refreshed resource metadata (background revalidation) and re-render
+   * Objects are updated in place, so session-cached account views pick it up too
+   * @param {object} metadata - Map of address -> metadata from getResourceMetadata
+   */
+  applyResourceMetadata(metadata) {
+    const displayFields = (meta, fallbackSymbol) => ({
+      name: meta.name,
+      symbol: meta.symbol || meta.name || fallbackSymbol,
+      iconUrl: meta.iconUrl
+    });
+
+    for (const fungible of this.fungibles) {
+      const meta = metadata[fungible.resourceAddress];
+      if (meta) Object.assign(fungible, displayFields(meta, fungible.symbol), { description: meta.description });
+    }
+
+    for (const collection of this.nftCollections) {
+      const meta = metadata[collection.resourceAddress];
+      if (meta) Object.assign(collection, displayFields(meta, collection.symbol), { description: meta.description });
+    }
+
+    for (const resource of this.selectedResourcesList) {
+      const meta = metadata[resource.resourceAddress];
+      if (meta) Object.assign(resource, displayFields(meta, resource.symbol));
+    }
+
+    for (const address of Object.keys(this.caveResourceMetadata)) {
+      if (metadata[address]) {
+        this.caveResourceMetadata[address] = { ...this.caveResourceMetadata[address], ...metadata[address] };
+      }
+    }
+
+    const selectedCollection = this.selectedNftData && metadata[this.selectedNftData.collection];
+    if (selectedCollection) {
+      this.selectedNftData.name = selectedCollection.name || this.selectedNftData.name;
+      this.selectedNftData.iconUrl = selectedCollection.iconUrl || this.selectedNftData.iconUrl;
+    }
+
+    if (!this.isOpen()) return;
+
+    if (this.selectedNftData) this.renderSelectedNftCard();
+    this.renderSelectedResources();
+
+    if (!this.balancesSection.classList.contains('hidden')) {
+      if (this.mode === 'in') {
+        this.renderWalletBalancesDisplay();
+      } else if (this.hasLookedUp) {
+        this.renderBalancesDisplay();
+      }
+    }
+  }
+
   showBalancesError(message) {
     this.balancesSection.classList.remove('hidden');
     this.caveBalancesElement.innerHTML = `<div class="balance-placeholder" style="color: #f87171;">${escapeHtml(message)}</div>`;
   }
 
   /**
-   * Update cave balance for a specific resource after a transaction
-   * @param {string} resourceAddress - The resource address
-   * @param {string} amountChange - The amount to add (positive) or subtract (negative)
-   * @param {object} metadata - Optional metadata for the resource (symbol, name, iconUrl)
+   * Check the cave balances on screen were looked up with this NFT key
+   * @param {{collection: string, id: string}} nft
+   * @returns {boolean}
    */
-  updateCaveBalance(resourceAddress, amountChange, metadata) {
-    // Only update if we have a current balance (i.e., LOOK CAVE was used)
-    if (this.caveBalancesData[resourceAddress] === undefined || this.caveBalancesData[resourceAddress] === null) {
-      console.log(`Cannot update balance for ${resourceAddress} - no initial balance from LOOK CAVE`);
-      return;
-    }
+  isLookedUpWith(nft) {
+    return this.hasLookedUp &&
+      this.lookedUpNft !== null &&
+      this.lookedUpNft.collection === nft.collection &&
+      this.lookedUpNft.id === nft.id;
+  }
 
-    const currentBalance = parseFloat(this.caveBalancesData[resourceAddress]) || 0;
-    const change = parseFloat(amountChange) || 0;
-    const newBalance = Math.max(0, currentBalance + change); // Ensure non-negative
+  /**
+   * Cave balance of a resource for the selected NFT key
+   * Balances looked up with another key (e.g. one parked in the batch) don't count
+   * @param {string} resourceAddress
+   * @returns {string|null} - null if not known for this key
+   */
+  caveBalanceOf(resourceAddress) {
+    if (!this.selectedNftData || !this.isLookedUpWith(this.selectedNftData)) return null;
+    return this.caveBalancesData[resourceAddress] ?? null;
+  }
 
-    this.caveBalancesData[resourceAddress] = newBalance.toString();
+  /**
+   * Replace cave balances with ledger values after a committed transaction
+   * @param {object} actualBalances - Map of address -> balance string or null (from query_balances)
+   * @param {object} changes - Map of address -> submitted change (positive for IN, negative for OUT)
+   * @param {object} resourceMetadata - Metadata for the touched resources
+   * @returns {string[]} - Addresses where the ledger disagrees with the submitted amounts
+   */
+  reconcileCaveBalances(actualBalances, changes, resourceMetadata) {
+    const mismatches = [];
+
+    for (const [address, actual] of Object.entries(actualBalances)) {
+      const previous = this.caveBalancesData[address];
+      const change = changes[address];
+
+      // Only judge resources we had a number for before the transaction
+      if (previous !== undefined && change !== undefined) {
+        const expected = maxDecimal('0', addDecimal(previous ?? '0', change));
 
-    console.log(`Updated balance for ${resourceAddress}: ${currentBalance} + ${change} = ${newBalance}`);
+        if (compareDecimal(actual ?? '0', expected) !== 0) {
+          console.warn(`Cave balance mismatch for ${address}: expected ${expected}, ledger says ${actual}`);
+          mismatches.push(address);
+          this.balanceMismatches.add(address);
+        } else {
+          this.balanceMismatches.delete(address);
+        }
+      }
 
-    // Update metadata if provided
-    if (metadata) {
-      this.caveResourceMetadata[resourceAddress] = metadata;
+      this.caveBalancesData[address] = actual;
     }
 
+    this.caveResourceMetadata = { ...this.caveResourceMetadata, ...resourceMetadata };
+
     // Always update the bottom balances display
     this.renderBalancesDisplay();
 
     // Re-render selected resources to update the token selector fields
     this.renderSelectedResources();
+
+    return mismatches;
   }
   
+  /**
+   * Check the current key + resource list could be submitted
+   * @returns {boolean}
+   */
+  isSelectionValid() {
+    if (this.selectedNftData === null || this.selectedResourcesList.length === 0) {
+      return false;
+    }
+
+    if (this.mode === 'rekey' && (!this.targetNftData || this.isTargetSameAsKey())) {
+      return false;
+    }
+
+    if (this.mode === 'look') return true;
+
+    if (this.mode === 'out' && !this.getDestination().address) {
+      return false;
+    }
+
+    return this.selectedResourcesList.every(r => {
+      // NFT deposits carry their ID, nothing to validate
+      if (r.kind === 'nonFungible') {
+        return Boolean(r.nfId);
+      }
+
+      // Ensure the resource has all required properties
+      if (!r || r.amount === undefined || r.divisibility === undefined) {
+        return false;
+      }
+
+      // For OUT mode, validate against cave balance if known
+      if (this.takesFromCave()) {
+        // If the selected key's cave balance is known, validate against it; otherwise only validate format
+        const maxAmount = this.caveBalanceOf(r.resourceAddress);
+        const validation = validateAmount(r.amount, maxAmount, r.divisibility);
+        return validation.valid;
+      } else {
+        // For IN mode, validate against wallet balance
+        const validation = validateAmount(r.amount, r.maxAmount, r.divisibility);
+        return validation.valid;
+      }
+    });
+  }
+
   updateSubmitButton() {
+    // Privacy warnings belong to the selection they were shown for
+    if (this.privacyWarnedFor !== null && this.privacyWarnedFor !== this.selectionFingerprint()) {
+      this.clearPrivacyWarnings();
+    }
+
     const hasNft = this.selectedNftData !== null;
-    const hasResources = this.selectedResourcesList.length > 0;
+    const selectionValid = this.isSelectionValid();
+
+    // LOOK ALL only needs a key and something in the cave
+    this.lookAllBtn.disabled = !hasNft || this.fungibles.length === 0;
+    this.addKeyBtn.disabled = !selectionValid;
+    this.splitBtn.disabled = !this.canPlanSplit();
+    this.splitHint.textContent = this.canSavePlansNow()
+      ? this.splitHintText
+      : 'OPEN KEY BOOK FIRST. CAVE HIDE TRIPS IN KEY BOOK SO THEY STAY AFTER RELOAD.';
+
+    // OUT CAVE batch: parked keys can be sent without a current selection
+    if (this.mode === 'out' && this.outBatch.length > 0) {
+      const keyCount = this.outBatch.length + (selectionValid ? 1 : 0);
+      this.submitBtn.textContent = `TAKE NOW (${keyCount} KEYS)`;
+      // A half-filled current key would be silently dropped - make the user finish or clear it
+      this.submitBtn.disabled = (this.selectedResourcesList.length > 0 && !selectionValid) ||
+        !this.getDestination().address;
+      return;
+    }
 
     // If no NFT is selected, change button text and disable
     if (!hasNft) {
@@ -723,56 +1685,66 @@ export class ModalUI {
     // Restore original button text based on mode
     switch (this.mode) {
       case 'in':
-        this.submitBtn.textContent = 'PUT NOW';
+        this.submitBtn.textContent = this.riskConfirmed ? 'YES, ME RISK IT' : 'PUT NOW';
         break;
       case 'out':
         this.submitBtn.textContent = 'TAKE NOW';
         break;
+      case 'rekey':
+        if (!this.targetNftData) {
+          this.submitBtn.textContent = 'PICK NEW KEY';
+        } else {
+          this.submitBtn.textContent = this.riskConfirmed ? 'YES, ME RISK IT' : 'MOVE NOW';
+        }
+        break;
       case 'look':
         this.submitBtn.textContent = 'LOOK NOW';
         break;
     }
 
-    let valid = hasNft && hasResources;
-
-    if (valid && this.mode !== 'look') {
-      valid = this.selectedResourcesList.every(r => {
-        // Ensure the resource has all required properties
-        if (!r || r.amount === undefined || r.divisibility === undefined) {
-          return false;
-        }
-
-        // For OUT mode, validate against cave balance if known
-        if (this.mode === 'out') {
-          const caveBalance = this.caveBalancesData[r.resourceAddress];
-          // If cave balance is known, validate against it; otherwise only validate format
-          const maxAmount = (caveBalance !== undefined && caveBalance !== null) ? caveBalance : null;
-          const validation = validateAmount(r.amount, maxAmount, r.divisibility);
-          return validation.valid;
-        } else {
-          // For IN mode, validate against wallet balance
-          const validation = validateAmount(r.amount, r.maxAmount, r.divisibility);
-          return validation.valid;
-        }
-      });
-    }
-
-    this.submitBtn.disabled = !valid;
+    this.submitBtn.disabled = !selectionValid;
   }
+
   
   handleSubmit() {
     if (this.submitBtn.disabled) return;
+
+    // Transferable key: make the user click twice before hiding funds behind it
+    const receivingKey = this.mode === 'rekey' ? this.targetNftData : this.selectedNftData;
+    const hidesFunds = this.mode === 'in' || this.mode === 'rekey';
+    if (hidesFunds && receivingKey.keySafety === 'transferable' && !this.riskConfirmed) {
+      this.riskConfirmed = true;
+      this.keyWarning.textContent =
+        'THIS NFT CAN MOVE! IF YOU SEND AWAY OR LOSE NFT, CAVE STUFF GONE FOREVER. CLICK AGAIN IF YOU SURE.';
+      this.keyWarning.classList.remove('hidden');
+      this.submitBtn.textContent = 'YES, ME RISK IT';
+      return;
+    }
     
     const data = {
       mode: this.mode,
       nft: this.selectedNftData,
-      resources: this.selectedResourcesList.map(r => ({
-        resourceAddress: r.resourceAddress,
-        amount: r.amount,
-        symbol: r.symbol,
-        iconUrl: r.iconUrl
-      }))
+      resources: this.selectedResourcesList.map(r => this.toSubmittedResource(r))
     };
+
+    if (this.mode === 'rekey') {
+      data.target = this.targetNftData;
+    }
+
+    if (this.mode === 'out') {
+      data.destination = this.getDestination().address;
+    }
+
+    // Second click on the same selection after privacy warnings: send anyway
+    data.privacyConfirmed = this.privacyWarnedFor !== null && this.privacyWarnedFor === this.selectionFingerprint();
+
+    // OUT CAVE with parked keys: every key goes into one transaction
+    if (this.mode === 'out' && this.outBatch.length > 0) {
+      data.keys = [...this.outBatch];
+      if (this.isSelectionValid()) {
+        data.keys.push({ nft: { ...this.selectedNftData }, resources: data.resources });
+      }
+    }
     
     if (this.mode === 'look' && this.onLookup) {
       this.onLookup(data);
@@ -781,8 +1753,267 @@ export class ModalUI {
     }
   }
   
+  /**
+   * @param {object} r - Entry of selectedResourcesList
+   * @returns {object} - The fields handed to onSubmit / onLookup
+   */
+  toSubmittedResource(r) {
+    return {
+      kind: r.kind,
+      resourceAddress: r.resourceAddress,
+      nfId: r.nfId,
+      amount: r.amount,
+      symbol: r.symbol,
+      iconUrl: r.iconUrl,
+      divisibility: r.divisibility
+    };
+  }
+
+  /**
+   * @param {{collection: string, id: string}} nft
+   * @returns {boolean}
+   */
+  isKeyInBatch(nft) {
+    return this.outBatch.some(entry =>
+      entry.nft.collection === nft.collection && entry.nft.id === nft.id
+    );
+  }
+
+  /**
+   * OUT CAVE: park the current key and its withdrawals, then start on the next key
+   */
+  addKeyToBatch() {
+    if (this.mode !== 'out' || !this.isSelectionValid()) return;
+
+    this.outBatch.push({
+      nft: { ...this.selectedNftData },
+      resources: this.selectedResourcesList.map(r => this.toSubmittedResource(r))
+    });
+
+    this.selectedNftData = null;
+    this.selectedNft.innerHTML = '';
+    this.selectedNft.classList.add('hidden');
+    this.selectedResourcesList = [];
+
+    // The LOOK results belong to the parked key - the next key needs its own
+    this.hasLookedUp = false;
+    this.caveBalancesData = {};
+    this.lookedUpNft = null;
+    this.balanceMismatches.clear();
+    this.balancesSectionTitle.textContent = '';
+    this.balancesSection.classList.add('hidden');
+    this.caveBalancesElement.innerHTML = '';
+
+    this.renderOutBatch();
+    this.renderSelectedResources();
+    this.updateSubmitButton();
+  }
+
+  /**
+   * @param {number} index - Entry of outBatch to drop
+   */
+  removeFromBatch(index) {
+    this.outBatch.splice(index, 1);
+    this.renderOutBatch();
+    this.updateFeePreview();
+    this.updateSubmitButton();
+  }
+
+  renderOutBatch() {
+    if (this.outBatch.length === 0) {
+      this.outBatchElement.innerHTML = '';
+      this.outBatchElement.classList.add('hidden');
+      return;
+    }
+
+    const rows = this.outBatch.map((entry, index) => {
+      const display = this.getNftDisplay(entry.nft.collection, entry.nft.id, entry.nft.name, entry.nft.iconUrl);
+      const tokens = entry.resources.map(r => r.symbol).join(', ');
+
+      return `
+        <div class="batch-item">
+          <img src="${escapeHtml(getIconUrl(display.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+          <div class="info">
+            <div class="name">${escapeHtml(display.name)}</div>
+            <div class="sub">${escapeHtml(formatNftId(entry.nft.id))} · ${escapeHtml(tokens)}</div>
+          </div>
+          <button class="remove-btn" data-index="${index}">×</button>
+        </div>
+      `;
+    }).join('');
+
+    this.outBatchElement.innerHTML = `<div class="batch-title">KEYS IN BATCH</div>${rows}`;
+    this.outBatchElement.classList.remove('hidden');
+
+    this.outBatchElement.querySelectorAll('.remove-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        // Re-rendering detaches the button; keep the outside-click handler from closing things
+        e.stopPropagation();
+        this.removeFromBatch(Number(btn.dataset.index));
+      });
+    });
+  }
+
+  resetRiskConfirmation() {
+    this.riskConfirmed = false;
+    this.keyWarning.classList.add('hidden');
+    this.keyWarning.textContent = '';
+  }
+
+  /**
+   * Split planner takes one key and one token (no batch)
+   * @returns {boolean}
+   */
+  /**
+   * @returns {boolean} - A plan made now would be saved
+   */
+  canSavePlansNow() {
+    return Boolean(this.canSavePlans && this.canSavePlans());
+  }
+
+  canPlanSplit() {
+    return this.canSavePlansNow() &&
+      this.mode === 'out' &&
+      this.outBatch.length === 0 &&
+      this.selectedResourcesList.length === 1 &&
+      this.selectedResourcesList[0].kind !== 'nonFungible' &&
+      this.isSelectionValid();
+  }
+
+  handlePlanSplit() {
+    if (!this.canPlanSplit() || !this.onPlanSplit) return;
+
+    const count = parseInt(this.splitCount.value, 10);
+    const hours = Number(this.splitHours.value);
+
+    if (!Number.isInteger(count) || count < 2 || count > CONFIG.splitPlan.maxChunks) {
+      this.keyWarning.textContent = `TRIPS MUST BE 2 TO ${CONFIG.splitPlan.maxChunks}.`;
+      this.keyWarning.classList.remove('hidden');
+      return;
+    }
+    if (!Number.isFinite(hours) || hours <= 0) {
+      this.keyWarning.textContent = 'HOURS MUST BE MORE THAN 0.';
+      this.keyWarning.classList.remove('hidden');
+      return;
+    }
+
+    this.onPlanSplit({
+      nft: { ...this.selectedNftData },
+      resource: this.toSubmittedResource(this.selectedResourcesList[0]),
+      destination: this.getDestination().address,
+      count,
+      spreadMs: hours * 60 * 60 * 1000
+    });
+  }
+
+  /**
+   * @returns {string} - What would be submitted right now (keys, resources, amounts, destination)
+   */
+  selectionFingerprint() {
+    return JSON.stringify({
+      mode: this.mode,
+      nft: this.selectedNftData && [this.selectedNftData.collection, this.selectedNftData.id],
+      resources: this.selectedResourcesList.map(r => [r.resourceAddress, r.nfId, r.amount]),
+      batch: this.outBatch.map(entry => [entry.nft.collection, entry.nft.id, entry.resources.map(r => [r.resourceAddress, r.amount])]),
+      destination: this.mode === 'out' ? this.getDestination().address : null
+    });
+  }
+
+  /**
+   * Show why the planned move is easy to follow, with amounts that blend in better
+   * Submitting the same selection again goes ahead anyway
+   * @param {Array} warnings - From findPrivacyWarnings
+   */
+  showPrivacyWarnings(warnings) {
+    const items = warnings.map(w => {
+      const name = w.symbol || shortenAddress(w.resourceAddress);
+      const amount = `${formatAmount(w.amount)} ${name}`;
+      let text;
+
+      switch (w.kind) {
+        case 'nft':
+          text = `${name} NFT ${formatNftId(w.nfId)} ONE OF A KIND. EVERYBODY CAN FOLLOW IT IN AND OUT CAVE.`;
+          break;
+        case 'rareToken':
+          text = `FEW PEOPLE USE CAVE FOR ${name} (${w.activity} MOVES LATELY). YOUR STUFF EASY TO FOLLOW.`;
+          break;
+        case 'matchesDeposit':
+          text = `SAME ${amount} WENT IN CAVE LATELY. TAKE SAME OUT, EVERYBODY SEE IT SAME STUFF.`;
+          break;
+        default:
+          text = `${amount} IS ODD AMOUNT. NOBODY ELSE MOVE IT - EASY TO SPOT.`;
+      }
+
+      const canApply = w.rounded !== null &&
+        this.selectedResourcesList.some(r => r.resourceAddress === w.resourceAddress && r.amount === w.amount);
+
+      const suggestions = [
+        canApply
+          ? `<button class="max-btn suggest-btn" data-address="${escapeHtml(w.resourceAddress)}" data-from="${escapeHtml(w.amount)}" data-to="${escapeHtml(w.rounded)}">USE ${escapeHtml(formatAmount(w.rounded))}</button>`
+          : '',
+        w.split.length > 0
+          ? `<span>OR SPLIT IN DIFFERENT TRIPS: ${w.split.map(part => escapeHtml(formatAmount(part))).join(' + ')}</span>`
+          : ''
+      ].join('');
+
+      return `
+        <div class="privacy-item">
+          <div>${escapeHtml(text)}</div>
+          ${suggestions ? `<div class="privacy-suggest">${suggestions}</div>` : ''}
+        </div>
+      `;
+    });
+
+    this.privacyWarning.innerHTML = `${items.join('')}<div>CLICK AGAIN IF YOU SURE.</div>`;
+    this.privacyWarning.classList.remove('hidden');
+    this.privacyWarnedFor = this.selectionFingerprint();
+    this.submitBtn.textContent = 'YES, SEND ANYWAY';
+  }
+
+  clearPrivacyWarnings() {
+    this.privacyWarnedFor = null;
+    this.privacyWarning.innerHTML = '';
+    this.privacyWarning.classList.add('hidden');
+  }
+
+  /**
+   * Replace an amount in the current selection with a suggested one
+   * @param {string} resourceAddress
+   * @param {string} fromAmount
+   * @param {string} toAmount
+   */
+  applySuggestedAmount(resourceAddress, fromAmount, toAmount) {
+    for (const r of this.selectedResourcesList) {
+      if (r.resourceAddress === resourceAddress && r.amount === fromAmount) {
+        r.amount = truncateToDecimals(toAmount, r.divisibility);
+      }
+    }
+
+    this.renderSelectedResources();
+    this.updateSubmitButton();
+  }
+
+  /**
+   * Query every token known to be in the cave for the selected NFT
+   */
+  handleLookAll() {
+    if (this.lookAllBtn.disabled || !this.onLookup) return;
+
+    this.onLookup({
+      mode: 'look',
+      nft: this.selectedNftData,
+      lookAll: true,
+      resources: this.fungibles.map(f => ({
+        resourceAddress: f.resourceAddress,
+        symbol: f.symbol,
+        iconUrl: f.iconUrl
+      }))
+    });
+  }
+  
   setLoading(loading) {
     this.submitBtn.disabled = loading;
+    this.lookAllBtn.disabled = loading || !this.selectedNftData || this.fungibles.length === 0;
     
     if (loading) {
       this.submitBtn.dataset.originalText = this.submitBtn.textContent;
@@ -793,12 +2024,293 @@ export class ModalUI {
   }
 }
 
+/**
+ * CAVE STATS panel
+ * Read-only: value locked, entry count and balance spread per token in the cave
+ */
+export class StatsUI {
+  constructor() {
+    this.modal = document.getElementById('stats-modal');
+    this.closeBtn = document.getElementById('stats-close');
+    this.refreshBtn = document.getElementById('stats-refresh');
+    this.list = document.getElementById('stats-list');
+    this.stateVersionLabel = document.getElementById('stats-state-version');
+
+    this.stats = null;
+    this.metadata = {};
+
+    // Callbacks
+    this.onRefresh = null;
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.hide();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.hide();
+      }
+    });
+
+    this.refreshBtn.addEventListener('click', () => {
+      if (this.onRefresh) this.onRefresh();
+    });
+  }
+
+  show() {
+    this.modal.classList.remove('hidden');
+  }
+
+  hide() {
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !this.modal.classList.contains('hidden');
+  }
+
+  /**
+   * @param {boolean} loading
+   */
+  setLoading(loading) {
+    this.refreshBtn.disabled = loading;
+    this.refreshBtn.textContent = loading ? 'ME COUNT...' : 'COUNT AGAIN';
+
+    if (loading && !this.stats) {
+      this.list.innerHTML = '<div class="balance-loading"><span class="loading"></span> CAVE COUNTING...</div>';
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  showError(message) {
+    this.list.innerHTML = `<div class="balance-placeholder">${escapeHtml(message)}</div>`;
+  }
+
+  /**
+   * @param {{stateVersion: number, resources: Array, bucketEdges: string[]}} stats - From getCaveStats
+   * @param {object} metadata - Map of address -> resource metadata
+   */
+  render(stats, metadata) {
+    this.stats = stats;
+    this.metadata = metadata;
+
+    this.stateVersionLabel.textContent = `AS OF STATE VERSION ${stats.stateVersion}`;
+    this.stateVersionLabel.classList.remove('hidden');
+
+    if (stats.resources.length === 0) {
+      this.list.innerHTML = '<div class="balance-placeholder">CAVE EMPTY. NOBODY HIDE STUFF YET.</div>';
+      return;
+    }
+
+    this.list.innerHTML = stats.resources
+      .map(resource => this.renderResource(resource, stats.bucketEdges))
+      .join('');
+  }
+
+  /**
+   * @param {{resourceAddress: string, total: string, entries: number, buckets: number[]}} resource
+   * @param {string[]} bucketEdges
+   * @returns {string}
+   */
+  renderResource(resource, bucketEdges) {
+    const meta = this.metadata[resource.resourceAddress] || {};
+    const name = meta.name || shortenAddress(resource.resourceAddress);
+    const largestBucket = Math.max(...resource.buckets);
+
+    const bucketRows = resource.buckets.map((count, index) => `
+      <div class="bucket-row">
+        <span class="bucket-label">${escapeHtml(bucketLabel(index, bucketEdges))}</span>
+        <span class="bucket-bar"><span style="width: ${largestBucket ? Math.round((count / largestBucket) * 100) : 0}%"></span></span>
+        <span class="bucket-count">${count}</span>
+      </div>
+    `).join('');
+
+    const fewEntries = resource.entries < CONFIG.caveStats.smallAnonymitySet;
+
+    return `
+      <div class="stats-item">
+        <div class="stats-head">
+          <img src="${escapeHtml(getIconUrl(meta.iconUrl))}" alt="" onerror="this.style.visibility='hidden'">
+          <div class="info">
+            <div class="name">${escapeHtml(name)}</div>
+            <div class="sub">${escapeHtml(meta.symbol || '')}</div>
+          </div>
+          <div class="stats-numbers">
+            <div>IN CAVE: ${escapeHtml(formatAmount(resource.total, meta.divisibility))}</div>
+            <div>KEYS: ${resource.entries}</div>
+          </div>
+        </div>
+        <div class="stats-buckets">${bucketRows}</div>
+        ${fewEntries ? '<div class="key-warning">FEW KEYS HOLD THIS. YOUR STUFF EASY TO SPOT.</div>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Re-render with refreshed metadata (see METADATA_UPDATED)
+   * @param {object} metadata - Map of address -> new metadata
+   */
+  applyResourceMetadata(metadata) {
+    if (!this.stats) return;
+    this.render(this.stats, { ...this.metadata, ...metadata });
+  }
+
+  /**
+   * Forget the last stats and clear the DOM (duress gesture)
+   */
+  reset() {
+    this.stats = null;
+    this.metadata = {};
+    this.list.innerHTML = '';
+    this.stateVersionLabel.textContent = '';
+    this.stateVersionLabel.classList.add('hidden');
+  }
+}
+
+/**
+ * CAVE TRIPS panel
+ * Lists staggered OUT CAVE plans; each chunk can be signed once it is due
+ */
+export class PlanUI {
+  constructor() {
+    this.panel = document.getElementById('plans-panel');
+    this.list = document.getElementById('plans-list');
+
+    this.plans = [];
+    this.signing = new Set(); // "planId:index" waiting for the wallet
+
+    // Callbacks
+    this.onSign = null; // (planId, chunkIndex) => void
+    this.onCancel = null; // (planId) => void
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.list.addEventListener('click', (e) => {
+      const signBtn = e.target.closest('.sign-chunk-btn');
+      if (signBtn && this.onSign) {
+        this.onSign(signBtn.dataset.plan, parseInt(signBtn.dataset.index, 10));
+        return;
+      }
+
+      const cancelBtn = e.target.closest('.cancel-plan-btn');
+      if (cancelBtn && this.onCancel) {
+        this.onCancel(cancelBtn.dataset.plan);
+      }
+    });
+  }
+
+  /**
+   * @param {string} planId
+   * @param {number} index
+   * @returns {boolean} - The chunk was sent to the wallet and has no answer yet
+   */
+  isSigning(planId, index) {
+    return this.signing.has(`${planId}:${index}`);
+  }
+
+  /**
+   * Mark a chunk as waiting for the wallet, so it can't be sent twice
+   * @param {string} planId
+   * @param {number} index
+   * @param {boolean} signing
+   */
+  setSigning(planId, index, signing) {
+    if (signing) {
+      this.signing.add(`${planId}:${index}`);
+    } else {
+      this.signing.delete(`${planId}:${index}`);
+    }
+    this.render(this.plans);
+  }
+
+  /**
+   * @param {Array} plans - From splitPlanner
+   */
+  render(plans) {
+    this.plans = plans;
+
+    if (plans.length === 0) {
+      this.list.innerHTML = '';
+      this.panel.classList.add('hidden');
+      return;
+    }
+
+    this.list.innerHTML = plans.map(plan => this.renderPlan(plan)).join('');
+    this.panel.classList.remove('hidden');
+  }
+
+  /**
+   * @param {object} plan
+   * @returns {string}
+   */
+  renderPlan(plan) {
+    const now = Date.now();
+    const symbol = plan.resource.symbol || shortenAddress(plan.resource.resourceAddress);
+    const keyName = `${plan.nft.name || 'NFT'} ${formatNftId(plan.nft.id)}`;
+    const destination = plan.destinationAddress !== plan.accountAddress
+      ? ` → ${shortenAddress(plan.destinationAddress)}`
+      : '';
+
+    const chunks = plan.chunks.map((chunk, index) => {
+      let action;
+      if (chunk.status === 'done') {
+        action = '<span class="when">DONE</span>';
+      } else if (chunk.status === 'submitted') {
+        action = '<span class="when">ROCK LEDGER...</span>';
+      } else if (this.isSigning(plan.id, index)) {
+        action = '<span class="when">ASK WALLET...</span>';
+      } else if (chunk.dueAt <= now) {
+        action = `<button class="max-btn sign-chunk-btn" data-plan="${escapeHtml(plan.id)}" data-index="${index}">TAKE NOW</button>`;
+      } else {
+        const when = new Date(chunk.dueAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        action = `<span class="when">${escapeHtml(when)}</span>`;
+      }
+
+      return `
+        <div class="plan-chunk ${chunk.status === 'done' ? 'done' : ''}">
+          <span class="amount">${escapeHtml(formatAmount(chunk.amount, plan.resource.divisibility))} ${escapeHtml(symbol)}</span>
+          ${action}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="plan-item">
+        <div class="plan-head">
+          <img src="${escapeHtml(getIconUrl(plan.resource.iconUrl))}" alt="" width="28" height="28" onerror="this.style.visibility='hidden'">
+          <div class="info">
+            <div class="name">${escapeHtml(symbol)} IN ${plan.chunks.length} TRIPS</div>
+            <div class="sub">KEY ${escapeHtml(keyName)}${escapeHtml(destination)}</div>
+          </div>
+          <button class="remove-btn cancel-plan-btn" data-plan="${escapeHtml(plan.id)}" title="FORGET PLAN">×</button>
+        </div>
+        ${chunks}
+      </div>
+    `;
+  }
+}
+
+let statusTimer = null;
+
 /**
  * Show a status message
  * @param {string} message 
  * @param {string} type - 'info', 'success', or 'error'
+ * @param {boolean} autoHide - Hide after 6 seconds (false keeps message up)
  */
-export function setStatus(message, type = 'info') {
+export function setStatus(message, type = 'info', autoHide = true) {
   const bar = document.getElementById('status-bar');
   const text = document.getElementById('status-text');
   
@@ -806,10 +2318,35 @@ export function setStatus(message, type = 'info') {
   bar.className = `status-bar ${type}`;
   bar.classList.remove('hidden');
   
+  clearTimeout(statusTimer);
+
   // Auto-hide after 6 seconds for all types
-  setTimeout(() => {
-    bar.classList.add('hidden');
-  }, 6000);
+  if (autoHide) {
+    statusTimer = setTimeout(() => {
+      bar.classList.add('hidden');
+    }, 6000);
+  }
+}
+
+/**
+ * Show a status message with a link to the transaction on the dashboard
+ * Stays up until replaced so the link can be clicked
+ * @param {string} message
+ * @param {string} type - 'info', 'success', or 'error'
+ * @param {string} linkUrl
+ */
+export function setTransactionStatus(message, type, linkUrl) {
+  setStatus(message, type, false);
+
+  const text = document.getElementById('status-text');
+  const link = document.createElement('a');
+  link.href = linkUrl;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.className = 'status-link';
+  link.textContent = 'SEE ON DASHBOARD';
+
+  text.append(' ', link);
 }
 
 /**
@@ -1,3 +1,14 @@
+import {
+  compareDecimal,
+  countDecimalPlaces,
+  isDecimal,
+  mulDecimal,
+  normalizeDecimal,
+  parseDecimal,
+  subDecimal,
+  truncateDecimal
+} from './decimal.js';
+
 /**
  * Shorten an address for display
  * @param {string} address 
@@ -10,26 +21,43 @@ export function shortenAddress(address, startLen = 12, endLen = 6) {
   return `${address.slice(0, startLen)}...${address.slice(-endLen)}`;
 }
 
+/**
+ * Group the digits of an integer string using the user's locale
+ * @param {string} digits - Integer part (no sign, no separators)
+ * @returns {string}
+ */
+export function formatIntegerDigits(digits) {
+  if (!/^[0-9]+$/.test(digits)) return digits;
+  return BigInt(digits).toLocaleString();
+}
+
+const LOCALE_DECIMAL_SEPARATOR = (1.5).toLocaleString().charAt(1);
+
 /**
  * Format a decimal amount for display
+ * Exact: works on the decimal string, never converts to float
  * @param {string|number} amount 
  * @param {number} maxDecimals 
  * @returns {string}
  */
 export function formatAmount(amount, maxDecimals = 6) {
-  const num = parseFloat(amount);
-  
-  if (isNaN(num)) return '0';
-  if (num === 0) return '0';
-  
-  if (num > 0 && num < 0.000001) {
+  if (amount === null || amount === undefined || !isDecimal(String(amount))) return '0';
+
+  const value = String(amount).trim();
+  if (parseDecimal(value) === 0n) return '0';
+
+  if (compareDecimal(value, '0') > 0 && compareDecimal(value, '0.000001') < 0) {
     return '< 0.000001';
   }
-  
-  return num.toLocaleString(undefined, {
-    minimumFractionDigits: 0,
-    maximumFractionDigits: maxDecimals
-  });
+
+  const truncated = truncateDecimal(value, maxDecimals);
+  const negative = truncated.startsWith('-');
+  const [intPart, fracPart] = (negative ? truncated.slice(1) : truncated).split('.');
+
+  const grouped = formatIntegerDigits(intPart);
+  const result = fracPart ? `${grouped}${LOCALE_DECIMAL_SEPARATOR}${fracPart}` : grouped;
+
+  return negative ? `-${result}` : result;
 }
 
 /**
@@ -47,6 +75,22 @@ export function debounce(fn, delayMs) {
   };
 }
 
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items 
+ * @param {number} size 
+ * @returns {Array<Array>}
+ */
+export function chunkArray(items, size) {
+  const chunks = [];
+  
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  
+  return chunks;
+}
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} str 
@@ -56,7 +100,8 @@ export function escapeHtml(str) {
   if (!str) return '';
   const div = document.createElement('div');
   div.textContent = str;
-  return div.innerHTML;
+  // textContent leaves quotes alone, but results also go into attributes
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -116,32 +161,30 @@ export const DEFAULT_ICON = 'data:image/svg+xml,' + encodeURIComponent(`
 
 /**
  * Get usable icon URL, handling IPFS and missing icons
+ * Icon URLs come from on-chain metadata, so anything but http(s) falls back
+ * to the default icon
  * @param {string|null} url 
  * @returns {string}
  */
 export function getIconUrl(url) {
-  if (!url) {
+  if (!url || typeof url !== 'string') {
     return DEFAULT_ICON;
   }
   
   if (url.startsWith('ipfs://')) {
     const cid = url.slice(7);
-    return `https://ipfs.io/ipfs/${cid}`;
+    url = `https://ipfs.io/ipfs/${cid}`;
   }
-  
-  return url;
-}
 
-/**
- * Count decimal places in a string number
- * @param {string} value 
- * @returns {number}
- */
-function countDecimalPlaces(value) {
-  if (!value || typeof value !== 'string') return 0;
-  const parts = value.split('.');
-  if (parts.length < 2) return 0;
-  return parts[1].length;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      return DEFAULT_ICON;
+    }
+    return parsed.href;
+  } catch {
+    return DEFAULT_ICON;
+  }
 }
 
 /**
@@ -184,13 +227,7 @@ export function validateAmount(value, maxAmount, divisibility = 18) {
     return { valid: false, error: 'Invalid number' };
   }
   
-  const num = parseFloat(trimmed);
-  
-  if (isNaN(num)) {
-    return { valid: false, error: 'Invalid number' };
-  }
-  
-  if (num <= 0) {
+  if (compareDecimal(trimmed, '0') <= 0) {
     return { valid: false, error: 'Must be greater than 0' };
   }
   
@@ -204,12 +241,39 @@ export function validateAmount(value, maxAmount, divisibility = 18) {
   }
   
   // Check max amount only if provided (skip for OUT CAVE mode)
-  if (maxAmount !== null) {
-    const max = parseFloat(maxAmount);
-    if (!isNaN(max) && num > max) {
+  if (maxAmount !== null && isDecimal(String(maxAmount))) {
+    if (compareDecimal(trimmed, String(maxAmount)) > 0) {
       return { valid: false, error: 'Exceeds available balance' };
     }
   }
   
   return { valid: true };
-}
\ No newline at end of file
+}
+
+/**
+ * Split a withdrawal into fee and net received
+ * @param {string} amount - Gross amount taken from cave
+ * @param {string} feeRate - Fee as a fraction (e.g. "0.001" for 0.1%)
+ * @returns {{gross: string, fee: string, net: string}|null} - null if amount not a valid decimal
+ */
+export function calculateWithdrawalFee(amount, feeRate) {
+  if (!amount || !isDecimal(amount)) return null;
+
+  const gross = normalizeDecimal(amount);
+  const fee = mulDecimal(gross, feeRate);
+
+  return {
+    gross,
+    fee,
+    net: subDecimal(gross, fee)
+  };
+}
+
+/**
+ * Format a fee rate as a percentage for display
+ * @param {string} feeRate - e.g. "0.001"
+ * @returns {string} - e.g. "0.1%"
+ */
+export function formatFeeRate(feeRate) {
+  return `${mulDecimal(feeRate, '100')}%`;
+}
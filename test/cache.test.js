@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import { cache, persistentCache } from '../src/cache.js';
+import { MemoryStorage, memoryIndexedDB } from './helpers/memory.js';
+
+describe('cache', () => {
+  const maxEntries = CONFIG.cache.maxEntries;
+  const evictions = () => cache.evict.mock.callCount();
+
+  beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+    cache.entryCount = null;
+    CONFIG.cache.maxEntries = 5;
+    mock.method(cache, 'evict');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    CONFIG.cache.maxEntries = maxEntries;
+    delete globalThis.localStorage;
+  });
+
+  it('reads back what it wrote', () => {
+    cache.set('a', { symbol: 'XRD' }, 60 * 1000);
+    assert.deepEqual(cache.get('a'), { symbol: 'XRD' });
+    assert.equal(cache.get('missing'), null);
+  });
+
+  it('does not evict while under the cap', () => {
+    for (let i = 0; i < 5; i++) cache.set(`k${i}`, i, Infinity);
+    // Rewriting an existing key doesn't grow the count
+    cache.set('k0', 'again', Infinity);
+
+    assert.equal(evictions(), 0);
+    assert.equal(cache.entryCount, 5);
+  });
+
+  it('evicts the least recently used once over the cap', () => {
+    for (let i = 0; i < 6; i++) {
+      cache.set(`k${i}`, i, Infinity);
+      // Distinct lastAccess per entry
+      const key = `hypercave_k${i}`;
+      const entry = JSON.parse(localStorage.getItem(key));
+      entry.lastAccess = i;
+      localStorage.setItem(key, JSON.stringify(entry));
+    }
+
+    assert.equal(evictions(), 1);
+    assert.equal(cache.keys().length, 5);
+    assert.equal(cache.get('k0'), null);
+    assert.equal(cache.get('k5'), 5);
+  });
+
+  it('keeps the count in step with removals', () => {
+    cache.set('a', 1, Infinity);
+    cache.set('b', 2, Infinity);
+    cache.remove('a');
+    cache.remove('a');
+
+    assert.equal(cache.entryCount, 1);
+
+    cache.clearAll();
+    assert.equal(cache.entryCount, 0);
+    assert.equal(cache.keys().length, 0);
+  });
+
+  it('evicts and retries when localStorage is full', () => {
+    globalThis.localStorage = new MemoryStorage(3);
+    for (let i = 0; i < 3; i++) cache.set(`k${i}`, i, Infinity);
+    assert.equal(evictions(), 0);
+
+    cache.set('k3', 3, Infinity);
+
+    assert.equal(evictions(), 1);
+    assert.equal(cache.get('k3'), 3);
+    assert.equal(cache.entryCount, cache.keys().length);
+  });
+});
+
+describe('persistentCache', () => {
+  let factory;
+
+  beforeEach(() => {
+    factory = memoryIndexedDB();
+    persistentCache.factory = factory;
+  });
+
+  afterEach(() => {
+    persistentCache.factory = null;
+    mock.restoreAll();
+  });
+
+  it('reads back a record with its tags', async () => {
+    await persistentCache.set('fungibles:account_a', [{ symbol: 'XRD' }], 60 * 1000, {
+      account: 'account_a',
+      stateVersion: 42
+    });
+
+    const record = await persistentCache.get('fungibles:account_a');
+
+    assert.deepEqual(record.value, [{ symbol: 'XRD' }]);
+    assert.equal(record.account, 'account_a');
+    assert.equal(record.stateVersion, 42);
+    assert.equal(typeof record.storedAt, 'number');
+    assert.equal(await persistentCache.get('fungibles:account_b'), null);
+  });
+
+  it('keys records by network', async () => {
+    await persistentCache.set('view', 1, 60 * 1000);
+
+    const records = factory.databases.get('hypercave_cache').get('views');
+    assert.deepEqual([...records.keys()], [`${CONFIG.networkId}:view`]);
+  });
+
+  it('drops expired records on read', async () => {
+    await persistentCache.set('view', 1, -1);
+
+    assert.equal(await persistentCache.get('view'), null);
+    assert.equal(factory.databases.get('hypercave_cache').get('views').size, 0);
+  });
+
+  it('removes one record', async () => {
+    await persistentCache.set('a', 1, 60 * 1000);
+    await persistentCache.set('b', 2, 60 * 1000);
+    await persistentCache.remove('a');
+
+    assert.equal(await persistentCache.get('a'), null);
+    assert.equal((await persistentCache.get('b')).value, 2);
+  });
+
+  it('clear deletes the whole database', async () => {
+    await persistentCache.set('a', 1, 60 * 1000);
+    await persistentCache.clear();
+
+    assert.equal(factory.databases.has('hypercave_cache'), false);
+    assert.equal(await persistentCache.get('a'), null);
+  });
+
+  it('degrades to misses and no-ops without IndexedDB', async () => {
+    persistentCache.factory = null;
+    assert.equal(globalThis.indexedDB, undefined);
+    const warn = mock.method(console, 'warn', () => {});
+
+    await persistentCache.set('a', 1, 60 * 1000);
+    assert.equal(await persistentCache.get('a'), null);
+    await persistentCache.remove('a');
+    await persistentCache.clear();
+
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('degrades to misses when IndexedDB fails to open', async () => {
+    persistentCache.factory = {
+      open: () => { throw new DOMException('Blocked', 'SecurityError'); },
+      deleteDatabase: () => { throw new DOMException('Blocked', 'SecurityError'); }
+    };
+    mock.method(console, 'warn', () => {});
+
+    await persistentCache.set('a', 1, 60 * 1000);
+    assert.equal(await persistentCache.get('a'), null);
+    await persistentCache.clear();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addDecimal,
+  compareDecimal,
+  countDecimalPlaces,
+  isDecimal,
+  maxDecimal,
+  mulDecimal,
+  normalizeDecimal,
+  parseDecimal,
+  subDecimal,
+  toDecimalString,
+  truncateDecimal
+} from '../src/decimal.js';
+
+const ATTO = '0.000000000000000001';
+
+describe('parseDecimal / toDecimalString', () => {
+  it('round-trips canonical decimals exactly', () => {
+    for (const value of ['0', '1', '-1', '1.5', ATTO, '-0.999999999999999999', '123456789012345678901234567890.123456789012345678']) {
+      assert.equal(toDecimalString(parseDecimal(value)), value);
+    }
+  });
+
+  it('normalizes to the canonical form', () => {
+    assert.equal(normalizeDecimal('1.500'), '1.5');
+    assert.equal(normalizeDecimal('002.0'), '2');
+    assert.equal(normalizeDecimal('.5'), '0.5');
+    assert.equal(normalizeDecimal('-0.0'), '0');
+    assert.equal(normalizeDecimal(' 7 '), '7');
+  });
+
+  it('truncates beyond 18 decimal places', () => {
+    assert.equal(normalizeDecimal('0.1234567890123456789'), '0.123456789012345678');
+    assert.equal(normalizeDecimal('0.0000000000000000009'), '0');
+  });
+
+  it('accepts numbers and bigints', () => {
+    assert.equal(parseDecimal(3), 3n * 10n ** 18n);
+    assert.equal(parseDecimal(3n), 3n * 10n ** 18n);
+    assert.equal(normalizeDecimal(0.25), '0.25');
+  });
+
+  it('accepts exponent notation', () => {
+    assert.equal(parseDecimal(1e-7), 10n ** 11n);
+    assert.equal(normalizeDecimal('1e-7'), '0.0000001');
+    assert.equal(normalizeDecimal('2.5E+3'), '2500');
+    assert.equal(normalizeDecimal(1e21), '1000000000000000000000');
+    assert.equal(normalizeDecimal('-1.5e-18'), `-${ATTO}`);
+  });
+
+  it('rejects invalid input', () => {
+    for (const value of ['', '.', '-', 'abc', '1,5', '--1', '1.2.3', '1e', 'e5', '1e99999', NaN, Infinity, null, undefined, {}]) {
+      assert.throws(() => parseDecimal(value), /Invalid decimal/, `accepted ${String(value)}`);
+    }
+  });
+});
+
+describe('isDecimal', () => {
+  it('accepts plain decimals only', () => {
+    for (const value of ['0', '-1', '1.', '.5', ATTO]) {
+      assert.equal(isDecimal(value), true, value);
+    }
+    for (const value of ['', '.', '-', '1e3', '1,5', 'abc', 5, null]) {
+      assert.equal(isDecimal(value), false, String(value));
+    }
+  });
+});
+
+describe('decimal arithmetic', () => {
+  it('adds and subtracts with 18 decimals', () => {
+    assert.equal(addDecimal(ATTO, '0.999999999999999999'), '1');
+    assert.equal(addDecimal('0.1', '0.2'), '0.3');
+    assert.equal(subDecimal('1', ATTO), '0.999999999999999999');
+    assert.equal(subDecimal('1', '2.5'), '-1.5');
+    assert.equal(addDecimal('-1', '1'), '0');
+  });
+
+  it('multiplies, truncating toward zero', () => {
+    assert.equal(mulDecimal('123.456', '0.001'), '0.123456');
+    assert.equal(mulDecimal('1.000000000000000001', '2'), '2.000000000000000002');
+    assert.equal(mulDecimal(ATTO, '0.5'), '0');
+    assert.equal(mulDecimal('-3', '0.333333333333333333'), '-0.999999999999999999');
+  });
+
+  it('compares negative and positive values', () => {
+    assert.equal(compareDecimal('-1', '0'), -1);
+    assert.equal(compareDecimal('1.0', '1'), 0);
+    assert.equal(compareDecimal(ATTO, '0'), 1);
+    assert.equal(maxDecimal('-1', '-2'), '-1');
+  });
+});
+
+describe('truncateDecimal', () => {
+  it('truncates to a token divisibility toward zero', () => {
+    assert.equal(truncateDecimal('1.23456789', 2), '1.23');
+    assert.equal(truncateDecimal('-1.999', 0), '-1');
+    assert.equal(truncateDecimal('9.99', 6), '9.99');
+    assert.equal(truncateDecimal(ATTO, 17), '0');
+  });
+
+  it('clamps the places to 0..18', () => {
+    assert.equal(truncateDecimal('1.5', -3), '1');
+    assert.equal(truncateDecimal(ATTO, 30), ATTO);
+  });
+});
+
+describe('countDecimalPlaces', () => {
+  it('counts fractional digits as typed', () => {
+    assert.equal(countDecimalPlaces('1.500'), 3);
+    assert.equal(countDecimalPlaces('7'), 0);
+    assert.equal(countDecimalPlaces(''), 0);
+    assert.equal(countDecimalPlaces(null), 0);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Map-backed stand-in for window.localStorage
+ * Throws QuotaExceededError once it holds `quota` items
+ */
+export class MemoryStorage {
+  constructor(quota = Infinity) {
+    this.items = new Map();
+    this.quota = quota;
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(i) {
+    return [...this.items.keys()][i] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    if (!this.items.has(key) && this.items.size >= this.quota) {
+      throw new DOMException('Storage full', 'QuotaExceededError');
+    }
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Just enough of IDBFactory for persistentCache: open (with upgrade),
+ * one object store keyed by `id`, get/put/delete and deleteDatabase.
+ * Requests complete on a later tick, like the real thing
+ */
+export function memoryIndexedDB() {
+  const databases = new Map(); // name -> Map(storeName -> Map(id -> record))
+
+  const request = (run) => {
+    const req = { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+    setTimeout(() => {
+      try {
+        run(req);
+        req.onsuccess?.();
+      } catch (e) {
+        req.error = e;
+        req.onerror?.();
+      }
+    });
+    return req;
+  };
+
+  const objectStore = (records) => ({
+    get: (id) => request(req => { req.result = structuredClone(records.get(id)); }),
+    put: (record) => request(req => { records.set(record.id, structuredClone(record)); req.result = record.id; }),
+    delete: (id) => request(() => { records.delete(id); })
+  });
+
+  return {
+    databases,
+
+    open(name) {
+      return request(req => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const stores = databases.get(name);
+
+        req.result = {
+          createObjectStore: (storeName) => stores.set(storeName, new Map()),
+          transaction: (storeName) => ({ objectStore: () => objectStore(stores.get(storeName)) }),
+          close: () => {}
+        };
+        if (isNew) req.onupgradeneeded?.();
+      });
+    },
+
+    deleteDatabase(name) {
+      return request(() => { databases.delete(name); });
+    }
+  };
+}
@@ -0,0 +1,305 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG, NETWORKS } from '../src/config.js';
+import {
+  buildBatchOutCaveManifest,
+  buildInCaveManifest,
+  buildLookCaveManifest,
+  buildOutCaveManifest,
+  buildRekeyManifest
+} from '../src/manifests.js';
+
+// Tests run against the default (stokenet) profile
+const ACCOUNT = CONFIG.dAppDefinitionAddress;
+const COMPONENT = CONFIG.componentAddress;
+const XRD = CONFIG.xrdAddress;
+const KEY_COLLECTION = XRD;
+
+const BAD_CHECKSUM = `${ACCOUNT.slice(0, -1)}${ACCOUNT.endsWith('q') ? 'p' : 'q'}`;
+const MAINNET_XRD = NETWORKS.mainnet.xrdAddress;
+
+// Valid stokenet addresses with made-up payloads
+const DESTINATION = 'account_tdx_2_12x6uw4d24vgr3v74vfammel50j5qch6uqjqud5elqsfe6pa2w44854';
+const OTHER_TOKEN = 'resource_tdx_2_1t4artqe4jlnxslzengyc3da98wdk5lkp3wyv525wvrejvhytscc7rf';
+const NFT_COLLECTION = 'resource_tdx_2_1ngjhe9p856rdwyxdxpynucdspus0065knc2n5nsykt02mjmltpd7ny';
+
+const keyProof = (id, proofName = 'nft_proof', collection = KEY_COLLECTION) => `CALL_METHOD
+  Address("${ACCOUNT}")
+  "create_proof_of_non_fungibles"
+  Address("${collection}")
+  Array<NonFungibleLocalId>(NonFungibleLocalId("${id}"))
+;
+
+POP_FROM_AUTH_ZONE
+  Proof("${proofName}")
+;`;
+
+describe('buildInCaveManifest', () => {
+  it('proves the key, withdraws into buckets and calls in_cave', () => {
+    const manifest = buildInCaveManifest(ACCOUNT, KEY_COLLECTION, '<key_1>', [
+      { resourceAddress: XRD, amount: '10' }
+    ]);
+
+    assert.equal(manifest, `${keyProof('<key_1>')}
+
+CALL_METHOD
+  Address("${ACCOUNT}")
+  "withdraw"
+  Address("${XRD}")
+  Decimal("10")
+;
+
+TAKE_FROM_WORKTOP
+  Address("${XRD}")
+  Decimal("10")
+  Bucket("bucket_0")
+;
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "in_cave"
+  Proof("nft_proof")
+  Array<Bucket>(Bucket("bucket_0"))
+;`);
+  });
+
+  it('withdraws non-fungibles by ID', () => {
+    const manifest = buildInCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', [
+      { resourceAddress: XRD, nonFungibleIds: ['#7#', '#8#'] }
+    ]);
+
+    assert.match(manifest, /"withdraw_non_fungibles"/);
+    assert.match(manifest, /TAKE_NON_FUNGIBLES_FROM_WORKTOP/);
+    assert.match(manifest, /Array<NonFungibleLocalId>\(NonFungibleLocalId\("#7#"\), NonFungibleLocalId\("#8#"\)\)/);
+  });
+
+  it('rejects an empty resource list', () => {
+    assert.throws(() => buildInCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', []), /No resources to deposit given/);
+  });
+});
+
+describe('buildOutCaveManifest', () => {
+  it('calls out_cave with canonical amounts and deposits the worktop', () => {
+    const manifest = buildOutCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', [
+      { resourceAddress: XRD, amount: '1.50' }
+    ]);
+
+    assert.equal(manifest, `${keyProof('#1#')}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "out_cave"
+  Proof("nft_proof")
+  Array<Tuple>(Tuple(Address("${XRD}"), Decimal("1.5")))
+;
+
+CALL_METHOD
+  Address("${ACCOUNT}")
+  "deposit_batch"
+  Expression("ENTIRE_WORKTOP")
+;`);
+  });
+
+  it('deposits into another account with try_deposit_batch_or_abort', () => {
+    const manifest = buildOutCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', [
+      { resourceAddress: XRD, amount: '2' }
+    ], DESTINATION);
+
+    assert.equal(manifest, `${keyProof('#1#')}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "out_cave"
+  Proof("nft_proof")
+  Array<Tuple>(Tuple(Address("${XRD}"), Decimal("2")))
+;
+
+CALL_METHOD
+  Address("${DESTINATION}")
+  "try_deposit_batch_or_abort"
+  Expression("ENTIRE_WORKTOP")
+  Enum<0u8>()
+;`);
+  });
+
+  it('rejects a destination that is not an account', () => {
+    const withdrawals = [{ resourceAddress: XRD, amount: '1' }];
+
+    assert.throws(() => buildOutCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', withdrawals, COMPONENT), /Expected account address, got component/);
+    assert.throws(() => buildOutCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', withdrawals, BAD_CHECKSUM), /bad Bech32m encoding/);
+  });
+});
+
+describe('buildBatchOutCaveManifest', () => {
+  it('proves each key, calls out_cave per key and deposits once', () => {
+    const manifest = buildBatchOutCaveManifest(ACCOUNT, [
+      { nftCollection: NFT_COLLECTION, nftId: '#1#', withdrawals: [{ resourceAddress: XRD, amount: '5' }] },
+      {
+        nftCollection: NFT_COLLECTION,
+        nftId: '#2#',
+        withdrawals: [{ resourceAddress: XRD, amount: '1' }, { resourceAddress: OTHER_TOKEN, amount: '0.250' }]
+      }
+    ]);
+
+    assert.equal(manifest, `${keyProof('#1#', 'nft_proof_0', NFT_COLLECTION)}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "out_cave"
+  Proof("nft_proof_0")
+  Array<Tuple>(Tuple(Address("${XRD}"), Decimal("5")))
+;
+
+${keyProof('#2#', 'nft_proof_1', NFT_COLLECTION)}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "out_cave"
+  Proof("nft_proof_1")
+  Array<Tuple>(Tuple(Address("${XRD}"), Decimal("1")), Tuple(Address("${OTHER_TOKEN}"), Decimal("0.25")))
+;
+
+CALL_METHOD
+  Address("${ACCOUNT}")
+  "deposit_batch"
+  Expression("ENTIRE_WORKTOP")
+;`);
+  });
+
+  it('deposits the whole batch into another account', () => {
+    const manifest = buildBatchOutCaveManifest(ACCOUNT, [
+      { nftCollection: NFT_COLLECTION, nftId: '#1#', withdrawals: [{ resourceAddress: XRD, amount: '5' }] }
+    ], DESTINATION);
+
+    assert.ok(manifest.endsWith(`
+CALL_METHOD
+  Address("${DESTINATION}")
+  "try_deposit_batch_or_abort"
+  Expression("ENTIRE_WORKTOP")
+  Enum<0u8>()
+;`), manifest);
+    assert.doesNotMatch(manifest, /"deposit_batch"/);
+  });
+
+  it('rejects the same key twice, no keys and a key without withdrawals', () => {
+    const key = { nftCollection: NFT_COLLECTION, nftId: '#1#', withdrawals: [{ resourceAddress: XRD, amount: '1' }] };
+
+    assert.throws(() => buildBatchOutCaveManifest(ACCOUNT, [key, { ...key }]), /Same NFT key given twice: #1#/);
+    assert.throws(() => buildBatchOutCaveManifest(ACCOUNT, []), /No NFT keys given/);
+    assert.throws(() => buildBatchOutCaveManifest(ACCOUNT, [{ ...key, withdrawals: [] }]), /No withdrawals given/);
+  });
+});
+
+describe('buildRekeyManifest', () => {
+  const OLD_KEY = { nftCollection: NFT_COLLECTION, nftId: '#1#' };
+  const NEW_KEY = { nftCollection: NFT_COLLECTION, nftId: '<new>' };
+
+  it('takes out with the old key and puts back in with the new key', () => {
+    const manifest = buildRekeyManifest(ACCOUNT, OLD_KEY, NEW_KEY, [
+      { resourceAddress: XRD, amount: '5' },
+      { resourceAddress: OTHER_TOKEN, amount: '2.0' }
+    ]);
+
+    assert.equal(manifest, `${keyProof('#1#', 'from_proof', NFT_COLLECTION)}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "out_cave"
+  Proof("from_proof")
+  Array<Tuple>(Tuple(Address("${XRD}"), Decimal("5")), Tuple(Address("${OTHER_TOKEN}"), Decimal("2")))
+;
+
+TAKE_ALL_FROM_WORKTOP
+  Address("${XRD}")
+  Bucket("bucket_0")
+;
+
+TAKE_ALL_FROM_WORKTOP
+  Address("${OTHER_TOKEN}")
+  Bucket("bucket_1")
+;
+
+${keyProof('<new>', 'to_proof', NFT_COLLECTION)}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "in_cave"
+  Proof("to_proof")
+  Array<Bucket>(Bucket("bucket_0"), Bucket("bucket_1"))
+;`);
+  });
+
+  it('rejects moving to the same key', () => {
+    assert.throws(
+      () => buildRekeyManifest(ACCOUNT, OLD_KEY, { ...OLD_KEY }, [{ resourceAddress: XRD, amount: '1' }]),
+      /Old and new NFT key are the same/
+    );
+  });
+});
+
+describe('buildLookCaveManifest', () => {
+  it('proves the key and calls query_balances', () => {
+    const manifest = buildLookCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', [XRD]);
+
+    assert.equal(manifest, `${keyProof('#1#')}
+
+CALL_METHOD
+  Address("${COMPONENT}")
+  "query_balances"
+  Proof("nft_proof")
+  Array<Address>(Address("${XRD}"))
+;`);
+  });
+});
+
+describe('manifest value validation', () => {
+  const out = (overrides = {}) => buildOutCaveManifest(
+    overrides.account ?? ACCOUNT,
+    overrides.collection ?? KEY_COLLECTION,
+    overrides.nftId ?? '#1#',
+    [{ resourceAddress: overrides.resource ?? XRD, amount: overrides.amount ?? '1' }]
+  );
+
+  it('rejects an address with a bad Bech32m checksum', () => {
+    assert.throws(() => out({ account: BAD_CHECKSUM }), /bad Bech32m encoding/);
+    assert.throws(() => buildLookCaveManifest(ACCOUNT, KEY_COLLECTION, '#1#', [`${XRD.slice(0, -1)}x`]), /bad Bech32m encoding/);
+  });
+
+  it('rejects an address from another network', () => {
+    assert.throws(() => out({ resource: MAINNET_XRD }), /Address is not on stokenet/);
+  });
+
+  it('rejects an address of the wrong entity type', () => {
+    assert.throws(() => out({ account: COMPONENT }), /Expected account address, got component/);
+    assert.throws(() => out({ collection: ACCOUNT }), /Expected resource address, got account/);
+  });
+
+  it('rejects malformed NonFungibleLocalIds', () => {
+    for (const nftId of ['1', '#01#', '#18446744073709551616#', '<has space>', '[ABCD]', '[abc]', '{not-a-ruid}', '']) {
+      assert.throws(() => out({ nftId }), /Invalid .*NFT ID/, `accepted ${JSON.stringify(nftId)}`);
+    }
+  });
+
+  it('accepts every NonFungibleLocalId type', () => {
+    for (const nftId of ['#0#', '#18446744073709551615#', '<key_1>', '[0a1b]', `{${'0123456789abcdef-'.repeat(3)}0123456789abcdef}`]) {
+      assert.doesNotThrow(() => out({ nftId }), `rejected ${nftId}`);
+    }
+  });
+
+  it('rejects Decimals with more than 18 decimal places', () => {
+    assert.throws(() => out({ amount: '0.0000000000000000001' }), /more than 18 decimal places/);
+  });
+
+  it('rejects Decimals out of range', () => {
+    const tooBig = ((1n << 191n) / 10n ** 18n + 1n).toString();
+    assert.throws(() => out({ amount: tooBig }), /Decimal out of range/);
+  });
+
+  it('rejects zero, negative and malformed amounts', () => {
+    assert.throws(() => out({ amount: '0' }), /greater than 0/);
+    assert.throws(() => out({ amount: '-1' }), /greater than 0/);
+    assert.throws(() => out({ amount: '1e3' }), /Invalid decimal/);
+    assert.throws(() => out({ amount: '1,5' }), /Invalid decimal/);
+  });
+});
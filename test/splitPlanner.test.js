@@ -0,0 +1,179 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONFIG } from '../src/config.js';
+import { addDecimal, countDecimalPlaces } from '../src/decimal.js';
+import { keyRegistry } from '../src/registry.js';
+import { randomChunks, randomSchedule, splitPlanner } from '../src/splitPlanner.js';
+import { MemoryStorage, memoryIndexedDB } from './helpers/memory.js';
+
+const PLAN_OPTIONS = {
+  accountAddress: CONFIG.dAppDefinitionAddress,
+  destinationAddress: CONFIG.dAppDefinitionAddress,
+  nft: { collection: CONFIG.xrdAddress, id: '#4242#', name: 'KEY' },
+  resource: { resourceAddress: CONFIG.xrdAddress, symbol: 'XRD', divisibility: 18 },
+  amount: '1000',
+  count: 3,
+  spreadMs: 60 * 60 * 1000
+};
+
+/**
+ * @returns {Map<string, object>} - Raw records of the registry's vault store
+ */
+function vault() {
+  return indexedDB.databases.get('hypercave_registry')?.get('vault') ?? new Map();
+}
+
+describe('randomChunks', () => {
+  const sum = (chunks) => chunks.reduce((total, chunk) => addDecimal(total, chunk), '0');
+
+  it('splits into chunks that add up to the amount exactly', () => {
+    for (const [amount, count] of [['1000', 3], ['1234.567890123456789012', 7], ['0.000000000000000005', 5], ['1', 10]]) {
+      const chunks = randomChunks(amount, count);
+
+      assert.equal(chunks.length, count);
+      assert.equal(sum(chunks), amount);
+      assert.ok(chunks.every(chunk => !chunk.startsWith('-') && chunk !== '0'), chunks.join(', '));
+    }
+  });
+
+  it('respects the token divisibility', () => {
+    for (let run = 0; run < 20; run++) {
+      const twoPlaces = randomChunks('10', 4, 2);
+      assert.ok(twoPlaces.every(chunk => countDecimalPlaces(chunk) <= 2), twoPlaces.join(', '));
+      assert.equal(sum(twoPlaces), '10');
+
+      const whole = randomChunks('7', 3, 0);
+      assert.ok(whole.every(chunk => countDecimalPlaces(chunk) === 0), whole.join(', '));
+      assert.equal(sum(whole), '7');
+    }
+  });
+
+  it('rejects amounts too small to split', () => {
+    assert.throws(() => randomChunks('0.03', 4, 2), /Amount too small to split in 4/);
+    assert.throws(() => randomChunks('2', 3, 0), /Amount too small to split in 3/);
+    assert.throws(() => randomChunks('0.000000000000000002', 3), /Amount too small/);
+  });
+
+  it('needs at least two chunks', () => {
+    assert.throws(() => randomChunks('10', 1), /Need at least 2 chunks/);
+    assert.throws(() => randomChunks('10', 2.5), /Need at least 2 chunks/);
+  });
+});
+
+describe('randomSchedule', () => {
+  it('puts each due time in order inside its own slot of the window', () => {
+    const now = 1_700_000_000_000;
+    const spreadMs = 24 * 60 * 60 * 1000;
+
+    for (let run = 0; run < 20; run++) {
+      const times = randomSchedule(5, spreadMs, now);
+      const slot = spreadMs / 5;
+
+      assert.equal(times.length, 5);
+      times.forEach((time, i) => {
+        assert.ok(time >= now + i * slot && time <= now + (i + 1) * slot, `chunk ${i} at ${time}`);
+        if (i > 0) assert.ok(time >= times[i - 1]);
+      });
+      assert.ok(times[4] <= now + spreadMs);
+    }
+  });
+});
+
+describe('splitPlanner', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = memoryIndexedDB();
+    globalThis.localStorage = new MemoryStorage();
+    keyRegistry.lock();
+    splitPlanner.clear();
+  });
+
+  afterEach(() => {
+    keyRegistry.lock();
+    delete globalThis.indexedDB;
+    delete globalThis.localStorage;
+  });
+
+  it('refuses to plan while the registry is locked', async () => {
+    await assert.rejects(() => splitPlanner.create(PLAN_OPTIONS), /Open the key registry first/);
+    await assert.rejects(() => splitPlanner.cancel('any'), /Key registry locked/);
+
+    assert.deepEqual(splitPlanner.plans, []);
+    assert.equal(vault().size, 0);
+    assert.equal(localStorage.length, 0);
+  });
+
+  it('seals plans so they survive a reload', async () => {
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    const plan = await splitPlanner.create(PLAN_OPTIONS);
+
+    const record = vault().get(splitPlanner.recordId());
+    assert.ok(record.ciphertext);
+    assert.equal(JSON.stringify(record).includes('#4242#'), false);
+    assert.equal(Buffer.from(record.ciphertext).toString('latin1').includes('#4242#'), false);
+    assert.equal(localStorage.length, 0);
+
+    // Reload: memory is gone, the sealed record is not
+    splitPlanner.clear();
+    keyRegistry.lock();
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    assert.deepEqual(splitPlanner.plans.map(p => p.id), [plan.id]);
+  });
+
+  it('re-reads sealed plans before changing them', async () => {
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    const mine = await splitPlanner.create(PLAN_OPTIONS);
+
+    // Another tab adds a plan behind this one's back
+    const sealed = await keyRegistry.readSealed(splitPlanner.recordId());
+    const theirs = { ...sealed[0], id: 'other-tab-plan' };
+    await keyRegistry.writeSealed(splitPlanner.recordId(), [...sealed, theirs]);
+
+    await splitPlanner.cancel(mine.id);
+
+    assert.deepEqual(splitPlanner.plans.map(p => p.id), ['other-tab-plan']);
+    assert.deepEqual((await keyRegistry.readSealed(splitPlanner.recordId())).map(p => p.id), ['other-tab-plan']);
+  });
+
+  it('announces every sealed write', async () => {
+    let saves = 0;
+    splitPlanner.onSaved = () => { saves += 1; };
+
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    const plan = await splitPlanner.create(PLAN_OPTIONS);
+    await splitPlanner.updateChunk(plan.id, 0, { status: 'submitted', intentHash: 'txid_1' });
+
+    splitPlanner.onSaved = null;
+    assert.equal(saves, 2);
+    assert.equal(splitPlanner.get(plan.id).chunks[0].intentHash, 'txid_1');
+  });
+
+  it('forgets sealed plans when the registry is locked', async () => {
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    await splitPlanner.create(PLAN_OPTIONS);
+
+    keyRegistry.lock();
+    await splitPlanner.load();
+    assert.deepEqual(splitPlanner.plans, []);
+
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    assert.equal(splitPlanner.plans.length, 1);
+  });
+
+  it('drops the plan once every chunk is done', async () => {
+    await keyRegistry.unlock('correct horse');
+    await splitPlanner.load();
+    const plan = await splitPlanner.create({ ...PLAN_OPTIONS, count: 2 });
+
+    await splitPlanner.updateChunk(plan.id, 0, { status: 'done' });
+    assert.equal(splitPlanner.plans.length, 1);
+    await splitPlanner.updateChunk(plan.id, 1, { status: 'done' });
+    assert.deepEqual(splitPlanner.plans, []);
+  });
+});
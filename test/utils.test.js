@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_ICON, getIconUrl } from '../src/utils.js';
+
+describe('getIconUrl', () => {
+  it('falls back to the default icon when there is none', () => {
+    assert.equal(getIconUrl(null), DEFAULT_ICON);
+    assert.equal(getIconUrl(''), DEFAULT_ICON);
+  });
+
+  it('serves IPFS icons through a gateway', () => {
+    assert.equal(getIconUrl('ipfs://bafybeigdyr'), 'https://ipfs.io/ipfs/bafybeigdyr');
+  });
+
+  it('keeps http(s) URLs, percent-encoding markup', () => {
+    assert.equal(getIconUrl('https://example.com/icon.png'), 'https://example.com/icon.png');
+    assert.equal(getIconUrl('https://example.com/x.png?q="><script>'), 'https://example.com/x.png?q=%22%3E%3Cscript%3E');
+  });
+
+  it('rejects every other scheme and unparseable URLs', () => {
+    for (const url of ['javascript:alert(1)', 'data:image/svg+xml,<svg onload=alert(1)>', 'file:///etc/passwd', 'icon.png', '//example.com/icon.png']) {
+      assert.equal(getIconUrl(url), DEFAULT_ICON, url);
+    }
+  });
+});